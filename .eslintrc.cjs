@@ -11,6 +11,9 @@ module.exports = {
   parserOptions: { ecmaVersion: 'latest', sourceType: 'module' },
   settings: { react: { version: '18.2' } },
   plugins: ['react-refresh'],
+  overrides: [
+    { files: ['scripts/**/*.js'], env: { node: true, browser: false } },
+  ],
   rules: {
     'react-refresh/only-export-components': [
       'warn',
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+/**
+ * Analyze a session trace without the browser
+ *
+ *   npm run analyze-trace -- <trace.json> [exercise] [--tempo 3-1-1-0] [--golden file] [--update] [--quiet]
+ *
+ * Runs the trace (recorded with "Record trace") through the analyzers, rep
+ * counting and feedback-variant selection (src/lib/traceAnalysis.js), prints the
+ * result of every frame and a rep summary. With --golden the result is compared
+ * to a stored golden file and the command fails if it differs; --update writes
+ * the golden file instead.
+ *
+ * Exit codes: 0 = ok, 1 = output differs from the golden file, 2 = bad input
+ */
+import { readFile, writeFile } from 'node:fs/promises'
+import { loadAppModule, formatGolden, describeDifferences } from './lib/golden.js'
+
+function parseArgs(argv) {
+  const args = { positional: [], update: false, quiet: false, golden: null, tempo: undefined }
+  for (let idx = 0; idx < argv.length; idx++) {
+    const arg = argv[idx]
+    if (arg === '--update') args.update = true
+    else if (arg === '--quiet') args.quiet = true
+    else if (arg === '--golden') args.golden = argv[++idx]
+    else if (arg === '--tempo') args.tempo = argv[++idx]
+    else if (arg.startsWith('--')) throw new Error(`Unknown option: ${arg}`)
+    else args.positional.push(arg)
+  }
+  if (args.positional.length < 1) throw new Error('Missing trace file')
+  if (args.update && !args.golden) throw new Error('--update needs --golden <file>')
+  return args
+}
+
+const seconds = (ms) => `${(ms / 1000).toFixed(3)}s`.padStart(9)
+
+function formatFrame(frame) {
+  if (!frame.analyzed) return `${seconds(frame.t)}  (not analyzed: required points not visible)`
+  const parts = [frame.feedbackKey || '-']
+  if (frame.confirmed.length > 0) parts.push(`issues: ${frame.confirmed.join(', ')}`)
+  if (frame.rep) {
+    parts.push(frame.rep.counted
+      ? `REP ${frame.rep.formQuality}${frame.rep.side ? ` (${frame.rep.side})` : ''}`
+      : `incomplete rep, skipped ${frame.rep.skippedKey}`)
+  }
+  if (frame.cue) parts.push(`says "${frame.cue.text}"`)
+  return `${seconds(frame.t)}  ${parts.join('  |  ')}`
+}
+
+function formatSummary({ exercise, summary }) {
+  const lines = [
+    `Exercise: ${exercise}`,
+    `Frames: ${summary.analyzedFrames} of ${summary.frames} analyzed`,
+    `Reps: ${summary.reps} (${summary.goodReps} good form)`,
+    `Cues: ${summary.cues}`
+  ]
+  if (summary.set?.repsBySide) lines.push(`Left / right: ${summary.set.repsBySide.left} / ${summary.set.repsBySide.right}`)
+  if (summary.set) lines.push(`Time under tension: ${(summary.set.timeUnderTension / 1000).toFixed(1)}s`)
+  const uneven = summary.asymmetry?.joints.find(joint => joint.uneven)
+  if (uneven) lines.push(`Uneven: ${uneven.side} ${uneven.joint} +${Math.round(uneven.difference)}°`)
+  return lines.join('\n')
+}
+
+async function main() {
+  let args
+  try {
+    args = parseArgs(process.argv.slice(2))
+  } catch (error) {
+    console.error(`${error.message}\nUsage: analyze-trace <trace.json> [exercise] [--tempo 3-1-1-0] [--golden file] [--update] [--quiet]`)
+    return 2
+  }
+  const [traceFile, exercise] = args.positional
+
+  const { parseTrace } = await loadAppModule('src/lib/sessionTrace.js')
+  const { analyzeTrace } = await loadAppModule('src/lib/traceAnalysis.js')
+  const { EXERCISE_RULES } = await loadAppModule('src/lib/exerciseRules.js')
+
+  let trace
+  try {
+    trace = parseTrace(await readFile(traceFile, 'utf8'))
+  } catch (error) {
+    console.error(`Couldn't read ${traceFile}: ${error.message}`)
+    return 2
+  }
+  const exerciseId = exercise || trace.exercise
+  if (!EXERCISE_RULES[exerciseId]) {
+    console.error(`No analyzer for exercise "${exerciseId}"`)
+    return 2
+  }
+
+  const result = analyzeTrace(trace, { exercise: exerciseId, tempo: args.tempo })
+  if (!args.quiet) result.frames.forEach(frame => console.log(formatFrame(frame)))
+  console.log(`\n${formatSummary(result)}`)
+
+  if (!args.golden) return 0
+  const output = formatGolden(result)
+  if (args.update) {
+    await writeFile(args.golden, output)
+    console.log(`\nWrote ${args.golden}`)
+    return 0
+  }
+
+  let golden
+  try {
+    golden = await readFile(args.golden, 'utf8')
+  } catch {
+    console.error(`\nNo golden file at ${args.golden} - run with --update to create it`)
+    return 2
+  }
+  if (golden === output) {
+    console.log(`\nMatches ${args.golden}`)
+    return 0
+  }
+  console.error(`\nOutput differs from ${args.golden}:`)
+  describeDifferences(JSON.parse(golden), result).forEach(difference => console.error(difference))
+  return 1
+}
+
+process.exitCode = await main()
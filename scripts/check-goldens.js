@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/**
+ * Check every fixture trace against its golden file
+ *
+ *   npm run test:golden              # fails if any analyzer result changed
+ *   npm run test:golden -- --update  # rewrite the golden files after an intended change
+ *
+ * Fixtures live in fixtures/traces/: each <name>.trace.json (a recorded or generated
+ * session trace) is analyzed as the exercise it was recorded for and compared with
+ * <name>.golden.json, the same comparison as `analyze-trace --golden`.
+ *
+ * A generated trace has its joint-angle script in fixtures/scripts/<name>.json. The
+ * script is run again and the check fails if the trace no longer matches it, so edit
+ * the script rather than the trace; --update regenerates the trace as well.
+ *
+ * Exit codes: 0 = all match, 1 = a result differs, a trace is stale or a golden file is missing
+ */
+import { readdir, readFile, writeFile } from 'node:fs/promises'
+import path from 'node:path'
+import { ROOT, loadAppModule, formatGolden, describeDifferences } from './lib/golden.js'
+import { readTraceScript, scriptToTrace, sameTrace } from './lib/traceScript.js'
+
+const FIXTURE_DIR = path.join(ROOT, 'fixtures/traces')
+const SCRIPT_DIR = path.join(ROOT, 'fixtures/scripts')
+const TRACE_SUFFIX = '.trace.json'
+const GOLDEN_SUFFIX = '.golden.json'
+
+async function main() {
+  const update = process.argv.includes('--update')
+  const { parseTrace } = await loadAppModule('src/lib/sessionTrace.js')
+  const { analyzeTrace } = await loadAppModule('src/lib/traceAnalysis.js')
+  const generator = await loadAppModule('src/lib/poseGenerator.js')
+
+  const traceNames = (await readdir(FIXTURE_DIR))
+    .filter(file => file.endsWith(TRACE_SUFFIX))
+    .map(file => file.slice(0, -TRACE_SUFFIX.length))
+  const scriptNames = (await readdir(SCRIPT_DIR))
+    .filter(file => file.endsWith('.json'))
+    .map(file => file.slice(0, -'.json'.length))
+  const names = [...new Set([...traceNames, ...scriptNames])].sort()
+
+  let failures = 0
+  for (const name of names) {
+    const traceFile = path.join(FIXTURE_DIR, name + TRACE_SUFFIX)
+    let json = traceNames.includes(name) ? await readFile(traceFile, 'utf8') : null
+
+    if (scriptNames.includes(name)) {
+      const generated = scriptToTrace(await readTraceScript(path.join(SCRIPT_DIR, `${name}.json`)), generator)
+      if (!json || !sameTrace(JSON.parse(json), generated)) {
+        if (!update) {
+          console.error(`stale   ${name}: ${name + TRACE_SUFFIX} doesn't match its script - run with --update to regenerate it`)
+          failures += 1
+          continue
+        }
+        json = `${JSON.stringify(generated)}\n`
+        await writeFile(traceFile, json)
+        console.log(`wrote   ${name + TRACE_SUFFIX}`)
+      }
+    }
+
+    const result = analyzeTrace(parseTrace(json))
+    const output = formatGolden(result)
+    const goldenFile = path.join(FIXTURE_DIR, name + GOLDEN_SUFFIX)
+    const label = `${name} (${result.summary.reps} reps, ${result.summary.goodReps} good)`
+
+    if (update) {
+      await writeFile(goldenFile, output)
+      console.log(`wrote   ${label}`)
+      continue
+    }
+
+    let golden
+    try {
+      golden = await readFile(goldenFile, 'utf8')
+    } catch {
+      console.error(`missing ${name}: no ${name + GOLDEN_SUFFIX} - run with --update to create it`)
+      failures += 1
+      continue
+    }
+    if (golden === output) {
+      console.log(`ok      ${label}`)
+    } else {
+      console.error(`differs ${label}`)
+      describeDifferences(JSON.parse(golden), result).forEach(difference => console.error(`  ${difference.replace(/\n/g, '\n  ')}`))
+      failures += 1
+    }
+  }
+
+  if (names.length === 0) console.log(`No fixture traces in ${FIXTURE_DIR}`)
+  else if (!update) console.log(`\n${names.length - failures} of ${names.length} fixtures match`)
+  return failures > 0 ? 1 : 0
+}
+
+process.exitCode = await main()
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/**
+ * Build a session trace from a joint-angle script
+ *
+ *   npm run generate-trace -- <script.json> <trace.json>
+ *
+ * The script describes a synthetic set (src/lib/poseGenerator.js), e.g. three clean
+ * bodyweight squats filmed from the side:
+ *
+ *   {
+ *     "description": "Squats to parallel, leaning forward naturally with the hips back: 3 reps, 3 good",
+ *     "exercise": "squat",
+ *     "options": { "view": "left-side", "fps": 15, "noise": 1, "seed": 21 },
+ *     "reps": { "top": {}, "bottom": { "trunkLean": 35, "hip": 65, "knee": 85 }, "count": 3 }
+ *   }
+ *
+ * - "reps" moves between two poses, each a set of angles on top of STANDING: "top"
+ *   at the start and end of every rep, "bottom" at the turnaround (lifted shoulders
+ *   for a crunch, arms overhead for a jumping jack). "count" sets the number of reps,
+ *   "tempo" the phase durations { eccentric, bottomPause, concentric, topPause } in ms
+ *   and "lead" the ms held at the top before the first rep.
+ * - "keyframes": [{ "t": 0, "pose": { ... } }, ...] replaces "reps" for any other motion.
+ * - "options" are generateSequence() options: view, fps, noise, dropRate, drop, stance,
+ *   scale, proportions, seed.
+ * - The top-level "tempo" is the prescribed tempo the set is checked against, as in the
+ *   app ("3-1-1-0"); it doesn't change the motion. Leave it out for no tempo cues.
+ * - "description" is for readers; it isn't used.
+ *
+ * fixtures/scripts/ has a good and a poor set for each exercise family. The trace can
+ * be replayed in the app or checked with scripts/analyze-trace.js.
+ */
+import { writeFile } from 'node:fs/promises'
+import { loadAppModule } from './lib/golden.js'
+import { readTraceScript, scriptToTrace } from './lib/traceScript.js'
+
+async function main() {
+  const [scriptFile, outFile] = process.argv.slice(2)
+  if (!scriptFile || !outFile) {
+    console.error('Usage: generate-trace <script.json> <trace.json>')
+    return 2
+  }
+
+  let script
+  try {
+    script = await readTraceScript(scriptFile)
+  } catch (error) {
+    console.error(error.message)
+    return 2
+  }
+
+  const trace = scriptToTrace(script, await loadAppModule('src/lib/poseGenerator.js'))
+  await writeFile(outFile, `${JSON.stringify(trace)}\n`)
+  console.log(`Wrote ${trace.frames.length} frames of ${script.exercise} to ${outFile}`)
+  return 0
+}
+
+process.exitCode = await main()
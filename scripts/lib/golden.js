@@ -0,0 +1,64 @@
+/**
+ * Helpers shared by the trace scripts: loading the app's modules and golden files
+ *
+ * A golden file is the JSON result of analyzeTrace() with one frame per line, so a
+ * changed frame shows up as a changed line in a diff.
+ */
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { runnerImport } from 'vite'
+
+export const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..')
+
+const MAX_REPORTED_DIFFERENCES = 10
+
+/**
+ * Import one of the app's modules
+ * They use Vite's resolution (extensionless imports), so they're loaded through it
+ * @param {string} file - Path from the repository root, e.g. 'src/lib/traceAnalysis.js'
+ */
+export async function loadAppModule(file) {
+  const { module } = await runnerImport(path.join(ROOT, file), { root: ROOT, logLevel: 'error' })
+  return module
+}
+
+/**
+ * Serialize an analyzeTrace() result as a golden file
+ * @returns {string}
+ */
+export function formatGolden({ exercise, summary, frames }) {
+  const lines = frames.map(frame => `    ${JSON.stringify(frame)}`)
+  return [
+    '{',
+    `  "exercise": ${JSON.stringify(exercise)},`,
+    `  "summary": ${JSON.stringify(summary, null, 2).replace(/\n/g, '\n  ')},`,
+    '  "frames": [',
+    lines.join(',\n'),
+    '  ]',
+    '}',
+    ''
+  ].join('\n')
+}
+
+/**
+ * Frames (and the summary) whose result changed, as short expected/actual pairs
+ * @param {Object} expected - Parsed golden file
+ * @param {Object} actual - analyzeTrace() result
+ * @returns {Array<string>}
+ */
+export function describeDifferences(expected, actual) {
+  const differences = []
+  const frameCount = Math.max(expected.frames?.length || 0, actual.frames.length)
+  for (let idx = 0; idx < frameCount && differences.length < MAX_REPORTED_DIFFERENCES; idx++) {
+    const before = JSON.stringify(expected.frames?.[idx])
+    const after = JSON.stringify(actual.frames[idx])
+    if (before !== after) differences.push(`frame ${idx}:\n  expected ${before}\n  actual   ${after}`)
+  }
+  if (JSON.stringify(expected.summary) !== JSON.stringify(actual.summary)) {
+    differences.push(`summary:\n  expected ${JSON.stringify(expected.summary)}\n  actual   ${JSON.stringify(actual.summary)}`)
+  }
+  if (expected.exercise !== actual.exercise) {
+    differences.push(`exercise: expected ${expected.exercise}, actual ${actual.exercise}`)
+  }
+  return differences
+}
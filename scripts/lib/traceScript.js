@@ -0,0 +1,51 @@
+/**
+ * Joint-angle scripts for synthetic session traces
+ *
+ * The script format is described in scripts/generate-trace.js; fixture scripts live
+ * in fixtures/scripts/ next to the traces they generate in fixtures/traces/.
+ */
+import { readFile } from 'node:fs/promises'
+
+/**
+ * Read a script file and check it describes a set
+ * @param {string} file
+ * @returns {Promise<Object>} The parsed script
+ * @throws {Error} When it can't be read or has no exercise or motion
+ */
+export async function readTraceScript(file) {
+  let script
+  try {
+    script = JSON.parse(await readFile(file, 'utf8'))
+  } catch (error) {
+    throw new Error(`Couldn't read ${file}: ${error.message}`)
+  }
+  if (!script.exercise || (!script.keyframes && !script.reps)) {
+    throw new Error(`${file} needs an "exercise" and either "keyframes" or "reps"`)
+  }
+  return script
+}
+
+/**
+ * Generate the trace a script describes
+ * @param {Object} script - From readTraceScript()
+ * @param {Object} generator - src/lib/poseGenerator.js, loaded with loadAppModule()
+ * @returns {Object} Session trace, as recorded in the app
+ */
+export function scriptToTrace(script, generator) {
+  const keyframes = script.keyframes || generator.repKeyframes(
+    { ...generator.STANDING, ...script.reps.top },
+    { ...generator.STANDING, ...script.reps.bottom },
+    { reps: script.reps.count, tempo: script.reps.tempo, lead: script.reps.lead }
+  )
+  const frames = generator.generateSequence(keyframes, script.options || {})
+  return generator.framesToTrace(frames, { exercise: script.exercise, tempo: script.tempo || null })
+}
+
+/**
+ * Whether a stored trace still has the frames and settings its script generates
+ * (the recording time differs on every run, so it isn't compared)
+ */
+export function sameTrace(stored, generated) {
+  const content = trace => JSON.stringify({ ...trace, recordedAt: null })
+  return content(stored) === content(generated)
+}
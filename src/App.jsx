@@ -1,13 +1,19 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useCallback } from "react";
 import CameraFeed from "./components/CameraFeed";
 import ExerciseSelector from "./components/ExerciseSelector";
 import ControlPanel from "./components/ControlPanel";
 import FeedbackDisplay from "./components/FeedbackDisplay";
 import VoiceSettingsIcon from "./components/VoiceSettingsIcon";
 import MusicIcon from "./components/MusicIcon";
+import PoseModelIcon from "./components/PoseModelIcon";
 import Onboarding from "./components/Onboarding";
+import HoldTimerDisplay from "./components/HoldTimerDisplay";
+import SetSummaryDisplay from "./components/SetSummaryDisplay";
+import VideoTimeline from "./components/VideoTimeline";
 import { VOICE_PERSONALITY, VOICE_GENDER } from "./hooks/useVoiceFeedback";
 import { useBackgroundMusic } from "./hooks/useBackgroundMusic";
+import { isHoldExercise, getRepSignal } from "./lib/exerciseRules";
+import { DEFAULT_POSE_MODEL } from "./lib/poseModels";
 
 function App() {
   const [onboardingComplete, setOnboardingComplete] = useState(false);
@@ -17,10 +23,21 @@ function App() {
   const [isActive, setIsActive] = useState(false);
   const [feedback, setFeedback] = useState("");
   const [repCount, setRepCount] = useState(0);
+  const [repsBySide, setRepsBySide] = useState(null);
+  const [cadence, setCadence] = useState(null);
+  const [holdTarget, setHoldTarget] = useState(30);
+  const [holdInfo, setHoldInfo] = useState({ holdState: null, holdSummary: null });
+  const [tempo, setTempo] = useState(null);
+  const [setSummary, setSetSummary] = useState(null);
   const [voicePersonality, setVoicePersonality] = useState(
     VOICE_PERSONALITY.NEUTRAL,
   );
   const [voiceGender, setVoiceGender] = useState(VOICE_GENDER.MALE);
+  const [poseModel, setPoseModel] = useState(DEFAULT_POSE_MODEL);
+  const [recordTrace, setRecordTrace] = useState(false);
+  const [replayTrace, setReplayTrace] = useState(null);
+  const [videoFile, setVideoFile] = useState(null);
+  const [videoAnalysis, setVideoAnalysis] = useState(null);
 
   // Check if onboarding has been completed
   useEffect(() => {
@@ -46,6 +63,34 @@ function App() {
     setOnboardingData(updatedData);
   };
 
+  const handleToggle = useCallback((active) => {
+    setIsActive(active);
+    if (!active) {
+      setReplayTrace(null);
+      setVideoFile(null);
+    }
+  }, []);
+
+  // Replay a recorded set with the settings it was recorded with
+  const handleReplayTrace = (trace) => {
+    setSelectedExercise(trace.exercise);
+    setPoseModel(trace.poseModel || DEFAULT_POSE_MODEL);
+    setTempo(trace.tempo ?? null);
+    // A rep exercise's trace has no hold target; keep the one set for live holds
+    if (isHoldExercise(trace.exercise)) setHoldTarget(trace.holdTarget ?? null);
+    setReplayTrace(trace);
+    setIsActive(true);
+  };
+
+  const handleReplayEnd = useCallback(() => handleToggle(false), [handleToggle]);
+
+  // Analyze a recorded clip of the selected exercise instead of the webcam
+  const handleVideoSelect = (file) => {
+    setVideoAnalysis(null);
+    setVideoFile(file);
+    setIsActive(true);
+  };
+
   const {
     playMusic,
     stopMusic,
@@ -88,6 +133,11 @@ function App() {
             onPersonalitySelect={setVoicePersonality}
             onGenderSelect={setVoiceGender}
           />
+          <PoseModelIcon
+            model={poseModel}
+            onModelSelect={setPoseModel}
+            disabled={isActive}
+          />
           <MusicIcon
             playMusic={playMusic}
             stopMusic={stopMusic}
@@ -126,6 +176,20 @@ function App() {
               isActive={isActive}
               onFeedback={setFeedback}
               onRepCountUpdate={setRepCount}
+              onRepsBySideUpdate={setRepsBySide}
+              onCadenceUpdate={setCadence}
+              onHoldUpdate={setHoldInfo}
+              onSetSummary={setSetSummary}
+              holdTarget={holdTarget}
+              tempo={tempo}
+              poseModel={poseModel}
+              recordTrace={recordTrace}
+              replayTrace={replayTrace}
+              onReplayEnd={handleReplayEnd}
+              videoFile={videoFile}
+              onVideoSelect={handleVideoSelect}
+              onVideoEnd={handleReplayEnd}
+              onVideoAnalysis={setVideoAnalysis}
               voicePersonality={voicePersonality}
               voiceGender={voiceGender}
             />
@@ -145,14 +209,42 @@ function App() {
 
             <ControlPanel
               isActive={isActive}
-              onToggle={setIsActive}
+              onToggle={handleToggle}
               hasExercise={!!selectedExercise}
+              isHoldExercise={isHoldExercise(selectedExercise)}
+              holdTarget={holdTarget}
+              onHoldTargetChange={setHoldTarget}
+              isRepExercise={!!getRepSignal(selectedExercise)}
+              tempo={tempo}
+              onTempoChange={setTempo}
+              recordTrace={recordTrace}
+              onRecordTraceChange={setRecordTrace}
+              onReplayTrace={handleReplayTrace}
+              onVideoSelect={handleVideoSelect}
             />
 
             <FeedbackDisplay feedback={feedback} />
 
+            {/* Hold Timer - static holds are timed instead of counted */}
+            {selectedExercise && isHoldExercise(selectedExercise) && (
+              <HoldTimerDisplay
+                holdState={holdInfo.holdState}
+                holdSummary={holdInfo.holdSummary}
+              />
+            )}
+
+            {/* Set Summary - shown after a set is stopped */}
+            {!isActive && selectedExercise && !isHoldExercise(selectedExercise) && (
+              <SetSummaryDisplay summary={setSummary} tempo={tempo} />
+            )}
+
+            {/* Clip Analysis - timeline of an uploaded set */}
+            {!isActive && videoAnalysis && (
+              <VideoTimeline timeline={videoAnalysis} />
+            )}
+
             {/* Rep Counter */}
-            {isActive && selectedExercise && repCount > 0 && (
+            {isActive && selectedExercise && !isHoldExercise(selectedExercise) && repCount > 0 && (
               <div className="bg-slate-900/50 backdrop-blur-sm rounded-2xl border border-slate-800 p-6">
                 <div className="text-center">
                   <div className="text-4xl font-display font-bold text-cyan-400 mb-2">
@@ -161,6 +253,16 @@ function App() {
                   <div className="text-sm text-[#FDF8FF] font-body uppercase tracking-wide">
                     Reps Completed
                   </div>
+                  {repsBySide && (
+                    <div className="mt-3 text-xs text-slate-400 font-body">
+                      Left {repsBySide.left} / Right {repsBySide.right}
+                    </div>
+                  )}
+                  {cadence && (
+                    <div className="mt-1 text-xs text-slate-400 font-body">
+                      {cadence} reps/min
+                    </div>
+                  )}
                 </div>
               </div>
             )}
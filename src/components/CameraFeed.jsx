@@ -1,10 +1,56 @@
 import { useRef, useEffect, useState, useCallback } from "react";
 import { usePoseDetection } from "../hooks/usePoseDetection";
+import { useTraceReplay } from "../hooks/useTraceReplay";
 import { useFormAnalysis } from "../hooks/useFormAnalysis";
 import { useVoiceFeedback } from "../hooks/useVoiceFeedback";
 import { usePresage } from "../hooks/usePresage";
-import { getFeedbackVariant, extractFeedbackKey } from "../lib/feedbackVariants";
-import { calculateAngle } from "../lib/angleUtils";
+import { useHoldTimer } from "../hooks/useHoldTimer";
+import { HOLD_EVENT } from "../lib/holdTimer";
+import { getFeedbackVariant, getShortCue } from "../lib/feedbackVariants";
+import { calculateAngle, findKeypoint } from "../lib/angleUtils";
+import { EXERCISE_RULES, getRepSignal, hasRequiredKeypoints } from "../lib/exerciseRules";
+import { getSkeleton, hasKeypoint } from "../lib/poseModels";
+import { createIssueGate } from "../lib/issueGate";
+import { getRepCueKey } from "../lib/repTracker";
+import { createTraceRecorder } from "../lib/sessionTrace";
+import { createVideoTimeline } from "../lib/videoTimeline";
+
+// Save a recorded session trace as a JSON download
+function downloadTrace(trace) {
+  const blob = new Blob([JSON.stringify(trace)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `trace-${trace.exercise}-${trace.recordedAt.replace(/[:.]/g, "-")}.json`;
+  link.click();
+  // Revoking straight away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+// Whether the pose model tracks every point the exercise's analyzer needs
+function modelTracksExercise(poseModel, exercise) {
+  const requiredParts = EXERCISE_RULES[exercise]?.required || [];
+  return requiredParts.every((part) => hasKeypoint(poseModel, part));
+}
+
+// Spoken cue for a hold timer event (null = nothing to say)
+function getHoldMessage(holdEvent, confirmedIssue) {
+  if (!holdEvent) return null;
+  switch (holdEvent.type) {
+    case HOLD_EVENT.COUNTDOWN: {
+      if (holdEvent.secondsLeft <= 5) return `${holdEvent.secondsLeft}`;
+      // Fold a persisting correction into the countdown: "Hips up, 10 seconds left"
+      const correction = confirmedIssue ? getShortCue(confirmedIssue.key) : null;
+      return correction
+        ? `${correction}, ${holdEvent.secondsLeft} seconds left`
+        : `${holdEvent.secondsLeft} seconds left`;
+    }
+    case HOLD_EVENT.COMPLETE:
+      return "Time! Great hold";
+    default:
+      return null;
+  }
+}
 
 export default function CameraFeed({ 
   exercise, 
@@ -12,6 +58,20 @@ export default function CameraFeed({
   isActive, 
   onFeedback, 
   onRepCountUpdate, 
+  onRepsBySideUpdate,
+  onCadenceUpdate,
+  onHoldUpdate,
+  onSetSummary,
+  holdTarget,
+  tempo,
+  poseModel,
+  recordTrace,
+  replayTrace,
+  onReplayEnd,
+  videoFile,
+  onVideoSelect,
+  onVideoEnd,
+  onVideoAnalysis,
   voicePersonality, 
   voiceGender 
 }) {
@@ -36,19 +96,32 @@ export default function CameraFeed({
   const lastFeedbackWasCriticalRef = useRef(false); // Track if last feedback was criticism
   const FEEDBACK_INTERVAL = 2000; // 2 seconds between feedback
   const hasPlayedStartMessageRef = useRef(false); // Track if we've played the start message
-
-  const { detectPose, keypoints, isLoading } = usePoseDetection();
-  const { analyzeForm } = useFormAnalysis(exercise);
+  const issueGateRef = useRef(createIssueGate()); // Corrections are only spoken once an issue persists
+  const recorderRef = useRef(null); // Trace recorder while the set is being recorded
+  const lastRecordedRef = useRef(null); // Keypoints of the last recorded frame
+  const timelineRef = useRef(null); // Timeline of the uploaded clip being analyzed
+  const clipClockRef = useRef(0); // Time (ms) the clip started playing; clip frames are timed from it
+
+  const { detectPose, resetFilter, keypoints: detectedKeypoints, frameTime, isLoading: isModelLoading, stats: detectionStats } = usePoseDetection(poseModel);
+  // A replayed trace stands in for the camera and the model
+  const { frame: replayFrame, isReplaying } = useTraceReplay(isActive ? replayTrace : null, onReplayEnd);
+  const keypoints = isReplaying ? replayFrame?.keypoints ?? null : detectedKeypoints;
+  const isLoading = isModelLoading && !isReplaying;
+  const { analyzeForm, reset: resetFormAnalysis } = useFormAnalysis(exercise);
   const { speak } = useVoiceFeedback(voicePersonality, voiceGender);
   const { 
     trackRep, 
     repCount, 
+    repsBySide,
+    cadence,
+    lastSetSummary,
     breathingRate, 
     breathingConsistency, 
     signalConfidence 
   } = usePresage(exercise, isActive);
+  const { isHoldMode, trackHold, holdState, holdSummary } = useHoldTimer(exercise, isActive, holdTarget);
   
-  const [detectionStatus, setDetectionStatus] = useState('initializing'); // 'initializing', 'detecting', 'no-pose', 'detected', 'full-body'
+  const [detectionStatus, setDetectionStatus] = useState('initializing'); // 'initializing', 'detecting', 'no-pose', 'detected', 'full-body', 'needs-model'
   const [isFullBodyVisible, setIsFullBodyVisible] = useState(false);
   const lastPresageCheckRef = useRef(0);
 
@@ -59,6 +132,34 @@ export default function CameraFeed({
     }
   }, [repCount, onRepCountUpdate]);
 
+  // Sync per-leg rep counts (alternating lunges) to parent
+  useEffect(() => {
+    if (onRepsBySideUpdate) {
+      onRepsBySideUpdate(repsBySide);
+    }
+  }, [repsBySide, onRepsBySideUpdate]);
+
+  // Sync cardio cadence (reps per minute) to parent
+  useEffect(() => {
+    if (onCadenceUpdate) {
+      onCadenceUpdate(cadence);
+    }
+  }, [cadence, onCadenceUpdate]);
+
+  // Sync finished set summary (time under tension, tempo) to parent
+  useEffect(() => {
+    if (onSetSummary) {
+      onSetSummary(lastSetSummary);
+    }
+  }, [lastSetSummary, onSetSummary]);
+
+  // Sync hold timer to parent
+  useEffect(() => {
+    if (onHoldUpdate) {
+      onHoldUpdate({ holdState, holdSummary });
+    }
+  }, [holdState, holdSummary, onHoldUpdate]);
+
   // Reset feedback history when exercise changes
   useEffect(() => {
     feedbackHistoryRef.current = [];
@@ -96,9 +197,22 @@ export default function CameraFeed({
     }
   }, [isActive, exercise, speak]);
 
+  // Record the set as a session trace, saved when it stops
+  useEffect(() => {
+    if (!isActive || !recordTrace) return;
+    const recorder = createTraceRecorder({ exercise, poseModel, tempo, holdTarget });
+    recorderRef.current = recorder;
+    lastRecordedRef.current = null;
+    return () => {
+      recorderRef.current = null;
+      const trace = recorder.finish();
+      if (trace.frames.length > 0) downloadTrace(trace);
+    };
+  }, [isActive, recordTrace, exercise, poseModel, tempo, holdTarget]);
+
   // Initialize camera
   useEffect(() => {
-    if (!isActive) return;
+    if (!isActive || isReplaying || videoFile) return;
 
     const initCamera = async () => {
       try {
@@ -131,15 +245,80 @@ export default function CameraFeed({
         stream.getTracks().forEach((track) => track.stop());
       }
     };
-  }, [isActive]);
+  }, [isActive, isReplaying, videoFile]);
+
+  // Play an uploaded clip through the same detection and analysis as the camera
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!isActive || !videoFile || !video) return;
+
+    const url = URL.createObjectURL(videoFile);
+    const timeline = createVideoTimeline({ exercise, fileName: videoFile.name });
+    timelineRef.current = timeline;
+    clipClockRef.current = Date.now();
+
+    const handleEnded = () => onVideoEnd?.();
+    video.srcObject = null;
+    video.src = url;
+    video.addEventListener("ended", handleEnded);
+
+    return () => {
+      const clipDuration = Number.isFinite(video.duration) ? video.duration * 1000 : 0;
+      video.removeEventListener("ended", handleEnded);
+      video.pause();
+      video.removeAttribute("src");
+      video.load();
+      URL.revokeObjectURL(url);
+      timelineRef.current = null;
+      onVideoAnalysis?.(timeline.finish(clipDuration));
+    };
+  }, [isActive, videoFile, exercise, onVideoEnd, onVideoAnalysis]);
+
+  // Start the clip once the model is ready, so its first reps aren't missed
+  useEffect(() => {
+    if (!isActive || !videoFile || isLoading || !videoRef.current) return;
+    videoRef.current.play().catch((err) => {
+      setError(`Couldn't play ${videoFile.name}: ${err.message || "unsupported video"}`);
+    });
+  }, [isActive, videoFile, isLoading]);
+
+  // Each session, replayed trace and clip starts from a fresh keypoint filter, calibration and
+  // issue gate, so its results don't depend on what ran before it
+  useEffect(() => {
+    if (!isActive) return;
+    resetFilter();
+    resetFormAnalysis();
+    issueGateRef.current.reset();
+  }, [isActive, replayTrace, videoFile, resetFilter, resetFormAnalysis]);
 
   // Handle keypoints updates for feedback and drawing
   useEffect(() => {
     if (!isActive || isLoading) {
       setDetectionStatus("initializing");
+      issueGateRef.current.reset();
       return;
     }
 
+    // Replayed frames keep their recorded timing; clip frames follow the clip's own clock
+    const now = replayFrame
+      ? replayFrame.timestamp
+      : videoFile && frameTime !== null
+        ? clipClockRef.current + frameTime * 1000
+        : Date.now();
+
+    // Each frame is recorded once, even if the effect re-runs for other reasons
+    const recorder = lastRecordedRef.current !== keypoints ? recorderRef.current : null;
+    if (recorder) {
+      recorder.addFrame(now, keypoints);
+      lastRecordedRef.current = keypoints;
+    }
+
+    // Speak a cue and note it in the trace being recorded
+    const say = (message, key = null) => {
+      recorder?.addCue(now, key, message);
+      speak(message, breathingRate, breathingConsistency, signalConfidence);
+    };
+
     if (!keypoints || keypoints.length === 0) {
       setDetectionStatus("no-pose");
       setIsFullBodyVisible(false);
@@ -154,8 +333,16 @@ export default function CameraFeed({
       return;
     }
 
+    // Exercises that need points the model doesn't track (heels and toes) can't be analyzed with it
+    if (exercise && !modelTracksExercise(poseModel, exercise)) {
+      setDetectionStatus("needs-model");
+      setIsFullBodyVisible(false);
+      drawPose(keypoints);
+      return;
+    }
+
     // Check if full body is visible
-    const fullBodyVisible = exercise ? checkFullBodyVisible(keypoints, exercise) : false;
+    const fullBodyVisible = exercise ? hasRequiredKeypoints(exercise, keypoints) : false;
     setIsFullBodyVisible(fullBodyVisible);
 
     if (fullBodyVisible) {
@@ -169,43 +356,71 @@ export default function CameraFeed({
     // Only analyze form and give feedback if exercise is selected AND full body is visible
     if (exercise && fullBodyVisible) {
       const analysis = analyzeForm(keypoints);
-      
-      // Track rep for Presage
-      trackRep(keypoints, analysis);
+      recorder?.addAnalysis(analysis);
 
-      const now = Date.now();
       const confidenceMultiplier = signalConfidence === 'low' ? 1.5 : signalConfidence === 'medium' ? 1.2 : 1.0
       const adaptiveInterval = FEEDBACK_INTERVAL * confidenceMultiplier
 
-      if (analysis.feedback && !analysis.feedback.toLowerCase().includes("position yourself")) {
+      // Static holds are timed, everything else is counted
+      const holdEvent = isHoldMode ? trackHold(analysis, now) : null;
+      const completedRep = isHoldMode ? null : trackRep(keypoints, analysis, now);
+
+      // A correction has to persist for a few frames before it's spoken; positive cues don't wait
+      const confirmedIssues = issueGateRef.current.update(analysis.issues, now);
+      const [confirmedIssue] = confirmedIssues;
+      const issuePending = analysis.issues.length > 0 && !confirmedIssue;
+      const spokenKey = confirmedIssue?.key || (analysis.issues.length === 0 ? analysis.feedbackKey : null);
+
+      // Uploaded clips build a timeline of persisting issues and counted reps
+      const timeline = timelineRef.current;
+      if (timeline) {
+        const clipTime = now - clipClockRef.current;
+        timeline.addFrame(clipTime, confirmedIssues);
+        if (completedRep && completedRep.complete !== false) timeline.addRep(clipTime, completedRep);
+      }
+
+      const repCueKey = getRepCueKey(completedRep, getRepSignal(exercise), tempo);
+      const repCueMessage = repCueKey
+        ? getFeedbackVariant(repCueKey, feedbackHistoryRef.current, breathingRate, breathingConsistency, signalConfidence)
+        : null;
+
+      // Countdown, completion and rep cues take priority over form feedback
+      const holdMessage = getHoldMessage(holdEvent, confirmedIssue);
+      if (holdMessage) {
+        onFeedback(holdMessage);
+        say(holdMessage);
+        lastFeedbackTimeRef.current = now;
+      } else if (repCueMessage && now - lastFeedbackTimeRef.current > FEEDBACK_INTERVAL) {
+        // Rep cues can come every second on cardio moves - keep them to the normal feedback pace
+        feedbackHistoryRef.current = [repCueKey, ...feedbackHistoryRef.current].slice(0, 10);
+        lastFeedbackWasCriticalRef.current = true;
+        onFeedback(repCueMessage);
+        say(repCueMessage, repCueKey);
+        lastFeedbackTimeRef.current = now;
+      } else if (spokenKey) {
         if (now - lastFeedbackTimeRef.current > adaptiveInterval) {
-          // Extract feedback key and get variant (with Presage adaptation)
-          const feedbackKey = extractFeedbackKey(analysis.feedback);
-          const variantFeedback = feedbackKey 
-            ? getFeedbackVariant(feedbackKey, feedbackHistoryRef.current, breathingRate, breathingConsistency, signalConfidence)
-            : analysis.feedback;
+          // Get a variant for the analyzer's feedback key (with Presage adaptation)
+          const feedbackKey = spokenKey;
+          const variantFeedback = getFeedbackVariant(feedbackKey, feedbackHistoryRef.current, breathingRate, breathingConsistency, signalConfidence);
 
           // Only speak if we got a valid variant (not null)
           if (variantFeedback) {
-            // Check if this is critical feedback (not positive)
-            const isCritical = !analysis.isValid || variantFeedback.toLowerCase().includes('keep') || 
-                              variantFeedback.toLowerCase().includes('bend') || 
-                              variantFeedback.toLowerCase().includes('lower') ||
-                              variantFeedback.toLowerCase().includes('sit back') ||
-                              variantFeedback.toLowerCase().includes('straight');
-            lastFeedbackWasCriticalRef.current = isCritical;
+            // Any reported issue is a correction; cues are positive
+            lastFeedbackWasCriticalRef.current = !!confirmedIssue;
             
             // Update feedback history (keep last 10 entries)
             feedbackHistoryRef.current = [feedbackKey, ...feedbackHistoryRef.current].slice(0, 10);
             
             onFeedback(variantFeedback);
             if (variantFeedback.trim()) {
-              speak(variantFeedback, breathingRate, breathingConsistency, signalConfidence);
+              say(variantFeedback, feedbackKey);
             }
             lastFeedbackTimeRef.current = now;
           }
           // If variant is null (too many repeats), skip this feedback
         }
+      } else if (issuePending) {
+        // Wait for the issue to persist (or clear) before saying anything
       } else if (lastFeedbackWasCriticalRef.current && now - lastFeedbackTimeRef.current > adaptiveInterval) {
         // No feedback from analyzer, but last feedback was criticism - provide encouragement
         const encouragingMessages = [
@@ -218,13 +433,13 @@ export default function CameraFeed({
         const message = encouragingMessages[Math.floor(Math.random() * encouragingMessages.length)];
         
         onFeedback(message);
-        speak(message, breathingRate, breathingConsistency, signalConfidence);
+        say(message);
         lastFeedbackTimeRef.current = now;
         lastFeedbackWasCriticalRef.current = false; // Reset after encouragement
-      } else if (exercise === 'wall-sit' && !analysis.feedback && now - lastFeedbackTimeRef.current > 10000) {
-        // For wall sit: if no feedback for 10+ seconds, provide encouragement
-        // Wall sits are static holds, so no feedback = good form = should encourage
-        const wallSitEncouragement = [
+      } else if (isHoldMode && !analysis.feedbackKey && now - lastFeedbackTimeRef.current > 10000) {
+        // For static holds: if no feedback for 10+ seconds, provide encouragement
+        // No feedback = good form = should encourage
+        const holdEncouragement = [
           'You\'re doing a good job',
           'Great job holding',
           'You\'re doing great',
@@ -233,18 +448,18 @@ export default function CameraFeed({
           'You\'re doing awesome',
           'Excellent work'
         ];
-        const message = wallSitEncouragement[Math.floor(Math.random() * wallSitEncouragement.length)];
+        const message = holdEncouragement[Math.floor(Math.random() * holdEncouragement.length)];
         
         onFeedback(message);
-        speak(message, breathingRate, breathingConsistency, signalConfidence);
+        say(message);
         lastFeedbackTimeRef.current = now;
       }
     }
-  }, [keypoints, isActive, exercise, analyzeForm, speak, onFeedback, isLoading, breathingRate, breathingConsistency, signalConfidence, trackRep]);
+  }, [keypoints, replayFrame, frameTime, videoFile, isActive, exercise, poseModel, analyzeForm, speak, onFeedback, isLoading, breathingRate, breathingConsistency, signalConfidence, trackRep, isHoldMode, trackHold, tempo]);
 
   // Pose detection loop
   useEffect(() => {
-    if (!isActive || !videoRef.current || !stream || isLoading) {
+    if (!isActive || isReplaying || !videoRef.current || (!stream && !videoFile) || isLoading) {
       return;
     }
 
@@ -271,34 +486,7 @@ export default function CameraFeed({
     return () => {
       if (animationFrameId) cancelAnimationFrame(animationFrameId);
     };
-  }, [isActive, stream, detectPose, isLoading]);
-
-  // Helper function to find keypoint by name
-  const findKeypoint = (keypoints, name) => {
-    if (!keypoints || keypoints.length === 0) return null;
-    return keypoints.find((kp, idx) => {
-      if (!kp) return false;
-      const kpName = (kp.name || getKeypointName(idx)).toLowerCase();
-      return kpName.includes(name.toLowerCase()) && kp.score > 0.3;
-    });
-  };
-
-  const getKeypointName = (index) => {
-    const names = ["nose", "left_eye", "right_eye", "left_ear", "right_ear", "left_shoulder", "right_shoulder", "left_elbow", "right_elbow", "left_wrist", "right_wrist", "left_hip", "right_hip", "left_knee", "right_knee", "left_ankle", "right_ankle"];
-    return names[index] || `keypoint_${index}`;
-  };
-
-  const checkFullBodyVisible = (keypoints, currentExercise) => {
-    if (!keypoints || keypoints.length === 0) return false;
-    const requiredParts = currentExercise === "squat" ? ["shoulder", "hip", "knee", "ankle"] : ["shoulder", "elbow", "wrist"];
-    const foundParts = new Set();
-    keypoints.forEach((kp, idx) => {
-      if (!kp || kp.score <= 0.3) return;
-      const kpName = (kp.name || getKeypointName(idx)).toLowerCase();
-      requiredParts.forEach((part) => { if (kpName.includes(part)) foundParts.add(part); });
-    });
-    return foundParts.size >= (currentExercise === "squat" ? 3 : 2);
-  };
+  }, [isActive, isReplaying, stream, videoFile, detectPose, isLoading]);
 
   const drawPose = (keypoints) => {
     const canvas = canvasRef.current;
@@ -310,17 +498,8 @@ export default function CameraFeed({
     canvas.height = video.videoHeight || 480;
     ctx.clearRect(0, 0, canvas.width, canvas.height);
 
-    const connections = [
-      ["nose", "left_eye"], ["nose", "right_eye"], ["left_eye", "right_eye"],
-      ["left_eye", "left_ear"], ["right_eye", "right_ear"],
-      ["left_ear", "left_shoulder"], ["right_ear", "right_shoulder"],
-      ["left_shoulder", "right_shoulder"], ["left_shoulder", "left_hip"],
-      ["right_shoulder", "right_hip"], ["left_hip", "right_hip"],
-      ["left_shoulder", "left_elbow"], ["left_elbow", "left_wrist"],
-      ["right_shoulder", "right_elbow"], ["right_elbow", "right_wrist"],
-      ["left_hip", "left_knee"], ["left_knee", "left_ankle"],
-      ["right_hip", "right_knee"], ["right_knee", "right_ankle"],
-    ];
+    // Skeleton edges of the active model (BlazePose adds hands and feet)
+    const connections = getSkeleton(poseModel);
 
     ctx.strokeStyle = "#22d3ee";
     ctx.lineWidth = 3;
@@ -461,22 +640,41 @@ export default function CameraFeed({
       case "no-pose": return { text: "Position yourself", color: "text-orange-400", icon: "📍" };
       case "detected": return { text: "Pose detected", color: "text-cyan-400", icon: "👁️" };
       case "full-body": return { text: "Full body ready", color: "text-green-400", icon: "✓" };
+      case "needs-model": return { text: "Needs BlazePose (see settings)", color: "text-orange-400", icon: "🦶" };
       default: return { text: "Ready", color: "text-white", icon: "" };
     }
   };
 
   const statusConfig = getStatusConfig();
 
+  // A recorded clip (mp4/webm) dropped on the feed is analyzed like the camera
+  const acceptsClip = !isActive && exercise && onVideoSelect;
+  const handleDrop = (event) => {
+    event.preventDefault();
+    const file = event.dataTransfer.files?.[0];
+    if (acceptsClip && file && file.type.startsWith("video/")) onVideoSelect(file);
+  };
+
   return (
-    <div className="relative aspect-video bg-slate-900 rounded-2xl border border-slate-800 overflow-hidden">
+    <div
+      className="relative aspect-video bg-slate-900 rounded-2xl border border-slate-800 overflow-hidden"
+      onDragOver={(event) => acceptsClip && event.preventDefault()}
+      onDrop={handleDrop}
+    >
       {!isActive && !exercise && (
         <div className="absolute inset-0 flex items-center justify-center">
           <p className="text-slate-500">Select an exercise to begin</p>
         </div>
       )}
       {showPreview && <video ref={previewVideoRef} autoPlay loop muted className="absolute inset-0 w-full h-full object-cover z-10" />}
-      <video ref={videoRef} autoPlay playsInline muted className={`w-full h-full object-cover ${showPreview ? 'opacity-0' : ''}`} />
-      <canvas ref={canvasRef} className="absolute inset-0 pointer-events-none" />
+      <video ref={videoRef} autoPlay={!videoFile} playsInline muted className={`w-full h-full ${videoFile ? 'object-contain' : 'object-cover'} ${showPreview ? 'opacity-0' : ''}`} />
+      {/* Clips keep their own size, so the overlay is scaled with the video */}
+      <canvas ref={canvasRef} className={`absolute inset-0 pointer-events-none ${videoFile ? 'w-full h-full object-contain' : ''}`} />
+      {acceptsClip && (
+        <div className="absolute bottom-4 inset-x-0 text-center z-20 pointer-events-none">
+          <span className="bg-slate-900/80 px-3 py-1 rounded-lg text-xs text-slate-300">Drop a recorded set (mp4/webm) here to analyze it</span>
+        </div>
+      )}
       
       {/* Mini Preview Window - Shown in bottom corner when active and exercise is selected */}
       {isActive && exercise && previewVideos[exercise] && (
@@ -498,6 +696,9 @@ export default function CameraFeed({
       {exercise && !showPreview && (
         <div className="absolute top-4 left-4 bg-slate-900/80 px-4 py-2 rounded-lg border border-slate-700">
           <span className="text-cyan-400 font-bold capitalize">{exercise}</span>
+          {isActive && isReplaying && <span className="ml-2 text-xs text-yellow-400 font-semibold uppercase">Replay</span>}
+          {isActive && videoFile && <span className="ml-2 text-xs text-yellow-400 font-semibold uppercase">Clip</span>}
+          {isActive && recordTrace && <span className="ml-2 text-xs text-red-400 font-semibold uppercase">● Rec</span>}
         </div>
       )}
 
@@ -507,6 +708,12 @@ export default function CameraFeed({
             <span className={statusConfig.color}>{statusConfig.icon}</span>
             <span className={`${statusConfig.color} text-sm font-medium`}>{statusConfig.text}</span>
           </div>
+          {/* Measured detection rate and capture-to-keypoints latency */}
+          {detectionStats && !isReplaying && (
+            <div className="mt-1 text-[10px] text-slate-400 font-mono" title={`${detectionStats.dropped} frames dropped, model ${Math.round(detectionStats.inferenceMs)} ms${detectionStats.inWorker ? "" : " (main thread)"}`}>
+              {Math.round(detectionStats.fps)} fps · {Math.round(detectionStats.latencyMs)} ms
+            </div>
+          )}
         </div>
       )}
 
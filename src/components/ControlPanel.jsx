@@ -1,4 +1,46 @@
-export default function ControlPanel({ isActive, onToggle, hasExercise }) {
+import { useState } from "react";
+import { HOLD_TARGETS } from "../hooks/useHoldTimer";
+import { TEMPO_PRESETS } from "../lib/tempo";
+import { parseTrace } from "../lib/sessionTrace";
+
+export default function ControlPanel({
+  isActive,
+  onToggle,
+  hasExercise,
+  isHoldExercise,
+  holdTarget,
+  onHoldTargetChange,
+  isRepExercise,
+  tempo,
+  onTempoChange,
+  recordTrace,
+  onRecordTraceChange,
+  onReplayTrace,
+  onVideoSelect,
+}) {
+  const [traceError, setTraceError] = useState(null);
+
+  // Load a recorded session trace and play it back
+  const handleTraceFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+    try {
+      const trace = parseTrace(await file.text());
+      setTraceError(null);
+      onReplayTrace(trace);
+    } catch (err) {
+      setTraceError(`Couldn't replay ${file.name}: ${err.message}`);
+    }
+  };
+
+  // Analyze a recorded clip instead of the webcam
+  const handleVideoFile = (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (file) onVideoSelect(file);
+  };
+
   return (
     <div className="bg-slate-900/50 backdrop-blur-sm rounded-2xl border border-slate-800 p-6">
       <button
@@ -11,6 +53,82 @@ export default function ControlPanel({ isActive, onToggle, hasExercise }) {
       >
         {isActive ? "⏸ Stop" : "▶ Start Exercise"}
       </button>
+      {isHoldExercise && (
+        <div className="mt-4">
+          <div className="text-xs text-slate-400 mb-2 font-body">Hold Target</div>
+          <div className="flex flex-wrap gap-2">
+            {HOLD_TARGETS.map((seconds) => (
+              <button
+                key={seconds ?? "open"}
+                onClick={() => onHoldTargetChange(seconds)}
+                disabled={isActive}
+                className={`px-3 py-1.5 rounded-lg text-xs font-semibold transition-all disabled:opacity-50 ${
+                  holdTarget === seconds
+                    ? "bg-cyan-500/20 border-2 border-cyan-500 text-cyan-400"
+                    : "bg-slate-800/50 border-2 border-slate-700 text-slate-300 hover:bg-slate-800"
+                }`}
+              >
+                {seconds ? `${seconds}s` : "Open"}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+      {isRepExercise && (
+        <div className="mt-4">
+          <div className="text-xs text-slate-400 mb-2 font-body">Tempo (down-pause-up-pause)</div>
+          <div className="flex flex-wrap gap-2">
+            {TEMPO_PRESETS.map((preset) => (
+              <button
+                key={preset ?? "free"}
+                onClick={() => onTempoChange(preset)}
+                disabled={isActive}
+                className={`px-3 py-1.5 rounded-lg text-xs font-semibold transition-all disabled:opacity-50 ${
+                  tempo === preset
+                    ? "bg-cyan-500/20 border-2 border-cyan-500 text-cyan-400"
+                    : "bg-slate-800/50 border-2 border-slate-700 text-slate-300 hover:bg-slate-800"
+                }`}
+              >
+                {preset || "Free"}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+      {hasExercise && !isActive && (
+        <label
+          className="mt-3 block w-full py-2 px-6 rounded-xl text-sm font-semibold text-center bg-slate-800/50 border-2 border-slate-700 text-slate-300 hover:bg-slate-800 cursor-pointer"
+          title="Run a filmed set through the same analysis and get a timeline of reps and form issues"
+        >
+          🎞 Analyze a video
+          <input type="file" accept="video/mp4,video/webm" onChange={handleVideoFile} className="hidden" />
+        </label>
+      )}
+      {!isActive && (
+        <div className="mt-4 flex gap-2">
+          <button
+            onClick={() => onRecordTraceChange(!recordTrace)}
+            className={`flex-1 px-3 py-1.5 rounded-lg text-xs font-semibold transition-all ${
+              recordTrace
+                ? "bg-red-500/20 border-2 border-red-500 text-red-400"
+                : "bg-slate-800/50 border-2 border-slate-700 text-slate-300 hover:bg-slate-800"
+            }`}
+            title="Save the keypoints and cues of the next set as a trace (no video)"
+          >
+            ● Record trace
+          </button>
+          <label
+            className="flex-1 px-3 py-1.5 rounded-lg text-xs font-semibold text-center bg-slate-800/50 border-2 border-slate-700 text-slate-300 hover:bg-slate-800 cursor-pointer"
+            title="Play a saved trace back through the coaching, without the camera"
+          >
+            ▶ Replay trace
+            <input type="file" accept="application/json,.json" onChange={handleTraceFile} className="hidden" />
+          </label>
+        </div>
+      )}
+      {traceError && !isActive && (
+        <p className="mt-2 text-xs text-red-400 font-body">{traceError}</p>
+      )}
       {!hasExercise && !isActive && (
         <p className="mt-3 text-sm text-[#FDF8FF] text-center">
           Start to test pose detection, or select an exercise for form analysis
@@ -0,0 +1,51 @@
+const formatSeconds = (ms) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, "0")}`;
+};
+
+export default function HoldTimerDisplay({ holdState, holdSummary }) {
+  if (holdState) {
+    const { goodTime, totalTime, isHolding, started, target, remaining } = holdState;
+    return (
+      <div className="bg-slate-900/50 backdrop-blur-sm rounded-2xl border border-slate-800 p-6">
+        <div className="text-center">
+          <div className={`text-4xl font-display font-bold mb-2 ${isHolding ? "text-cyan-400" : "text-orange-400"}`}>
+            {target ? formatSeconds(remaining) : formatSeconds(goodTime)}
+          </div>
+          <div className="text-sm text-[#FDF8FF] font-body uppercase tracking-wide">
+            {!started ? "Get into position" : isHolding ? (target ? "Time Left" : "Hold Time") : "Paused - fix your form"}
+          </div>
+          {started && (
+            <div className="mt-3 text-xs text-slate-400 font-body">
+              {formatSeconds(goodTime)} in good form / {formatSeconds(totalTime)} total
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  if (holdSummary) {
+    const { goodTime, totalTime, target, completed } = holdSummary;
+    const goodFormPercent = totalTime > 0 ? Math.round((goodTime / totalTime) * 100) : 0;
+    return (
+      <div className="bg-slate-900/50 backdrop-blur-sm rounded-2xl border border-slate-800 p-6">
+        <h3 className="font-display text-sm font-semibold mb-3 text-[#FDF8FF] uppercase tracking-wide">
+          Hold Summary
+        </h3>
+        <div className="space-y-1 text-sm text-white font-body">
+          <div className="flex justify-between"><span>Good form:</span><span className="text-cyan-400 font-bold">{formatSeconds(goodTime)}</span></div>
+          <div className="flex justify-between"><span>Total time:</span><span>{formatSeconds(totalTime)}</span></div>
+          <div className="flex justify-between"><span>Form quality:</span><span className="text-green-400">{goodFormPercent}%</span></div>
+          {target && (
+            <div className="flex justify-between"><span>Target {formatSeconds(target)}:</span><span className={completed ? "text-green-400" : "text-orange-400"}>{completed ? "Completed" : "Not reached"}</span></div>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  return null;
+}
@@ -0,0 +1,66 @@
+import { useState, useRef, useEffect } from 'react'
+import { POSE_MODEL_OPTIONS } from '../lib/poseModels'
+
+export default function PoseModelIcon({ model, onModelSelect, disabled }) {
+  const [showDropdown, setShowDropdown] = useState(false)
+  const dropdownRef = useRef(null)
+
+  // Close dropdown when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (dropdownRef.current && !dropdownRef.current.contains(event.target)) {
+        setShowDropdown(false)
+      }
+    }
+    if (showDropdown) {
+      document.addEventListener('mousedown', handleClickOutside)
+      return () => document.removeEventListener('mousedown', handleClickOutside)
+    }
+  }, [showDropdown])
+
+  return (
+    <div className="relative" ref={dropdownRef}>
+      <button
+        onClick={() => setShowDropdown(!showDropdown)}
+        className="p-3 bg-slate-900/80 backdrop-blur-sm rounded-xl border-2 border-slate-700 hover:border-cyan-500 transition-all text-slate-300 hover:text-cyan-400"
+        title="Pose Model"
+      >
+        <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 5a2 2 0 100-4 2 2 0 000 4zm0 0v7m0 0l-4 9m4-9l4 9M5 9l7-2 7 2" />
+        </svg>
+      </button>
+
+      {showDropdown && (
+        <div className="absolute top-full right-0 mt-2 w-64 bg-slate-900/95 backdrop-blur-sm rounded-xl border border-slate-800 p-4 shadow-xl z-50">
+          <div className="text-xs text-slate-400 mb-2 font-body">Pose Model</div>
+          <div className="space-y-2">
+            {POSE_MODEL_OPTIONS.map((option) => (
+              <button
+                key={option.value}
+                onClick={() => onModelSelect(option.value)}
+                disabled={disabled}
+                className={`w-full text-left px-3 py-2 rounded-lg transition-all disabled:opacity-50 ${
+                  model === option.value
+                    ? 'bg-cyan-500/20 border-2 border-cyan-500 text-cyan-400'
+                    : 'bg-slate-800/50 border-2 border-slate-700 text-slate-300 hover:bg-slate-800'
+                }`}
+              >
+                <div className="flex items-center gap-2">
+                  <span>{option.icon}</span>
+                  <div className="flex-1">
+                    <div className="text-sm font-semibold">{option.label}</div>
+                    <div className="text-xs text-slate-400">{option.description}</div>
+                  </div>
+                  {model === option.value && <span className="ml-auto text-cyan-400">✓</span>}
+                </div>
+              </button>
+            ))}
+          </div>
+          {disabled && (
+            <p className="mt-3 text-xs text-slate-500 font-body">Stop the set to switch models</p>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,45 @@
+import { formatTempo } from "../lib/tempo";
+
+const formatSeconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+// "Left knee +12°" for the most uneven joint of the set
+const formatAsymmetry = ({ side, joint, difference }) =>
+  `${side === "left" ? "Left" : "Right"} ${joint} +${Math.round(difference)}°`;
+
+export default function SetSummaryDisplay({ summary, tempo }) {
+  if (!summary) return null;
+
+  const { reps, goodReps, timeUnderTension, averageTempo, repsBySide, cadence, asymmetry } = summary;
+  const unevenJoint = asymmetry?.joints.find(joint => joint.uneven);
+
+  return (
+    <div className="bg-slate-900/50 backdrop-blur-sm rounded-2xl border border-slate-800 p-6">
+      <h3 className="font-display text-sm font-semibold mb-3 text-[#FDF8FF] uppercase tracking-wide">
+        Set Summary
+      </h3>
+      <div className="space-y-1 text-sm text-white font-body">
+        <div className="flex justify-between"><span>Reps:</span><span className="text-cyan-400 font-bold">{reps}</span></div>
+        {repsBySide && (
+          <div className="flex justify-between"><span>Left / Right:</span><span>{repsBySide.left} / {repsBySide.right}</span></div>
+        )}
+        <div className="flex justify-between"><span>Good form:</span><span className="text-green-400">{goodReps} / {reps}</span></div>
+        {asymmetry && (
+          <div className="flex justify-between">
+            <span>Left / Right balance:</span>
+            {unevenJoint
+              ? <span className="text-amber-400">{formatAsymmetry(unevenJoint)} bend ({unevenJoint.unevenReps} / {reps} reps)</span>
+              : <span className="text-green-400">Even</span>}
+          </div>
+        )}
+        {cadence && (
+          <div className="flex justify-between"><span>Cadence:</span><span className="text-cyan-400">{Math.round(cadence)} reps/min</span></div>
+        )}
+        <div className="flex justify-between"><span>Time under tension:</span><span className="text-cyan-400">{formatSeconds(timeUnderTension)}</span></div>
+        <div className="flex justify-between"><span>Average tempo:</span><span>{formatTempo(averageTempo)}</span></div>
+        {tempo && (
+          <div className="flex justify-between"><span>Prescribed tempo:</span><span className="text-slate-400">{tempo}</span></div>
+        )}
+      </div>
+    </div>
+  );
+}
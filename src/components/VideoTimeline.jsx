@@ -0,0 +1,82 @@
+import { formatClipTime, formatTimelineReport } from "../lib/videoTimeline";
+
+const SEVERITY_COLORS = {
+  critical: "bg-red-500/70",
+  warning: "bg-orange-400/70",
+  info: "bg-yellow-300/60",
+};
+
+// Save the text summary next to the clip's name
+function downloadReport(timeline) {
+  const blob = new Blob([formatTimelineReport(timeline)], { type: "text/plain" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `${timeline.fileName.replace(/\.[^.]+$/, "")}-analysis.txt`;
+  link.click();
+  // Give the download time to start before the URL goes away
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+export default function VideoTimeline({ timeline }) {
+  if (!timeline) return null;
+
+  const { duration, reps, issues } = timeline;
+  const position = (time) => `${duration > 0 ? (time / duration) * 100 : 0}%`;
+  const goodReps = reps.filter((rep) => rep.good).length;
+
+  return (
+    <div className="bg-slate-900/50 backdrop-blur-sm rounded-2xl border border-slate-800 p-6">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="font-display text-sm font-semibold text-[#FDF8FF] uppercase tracking-wide">
+          Clip Analysis
+        </h3>
+        <button
+          onClick={() => downloadReport(timeline)}
+          className="px-3 py-1 rounded-lg text-xs font-semibold bg-cyan-500/20 border-2 border-cyan-500 text-cyan-400 hover:bg-cyan-500/30"
+        >
+          Download
+        </button>
+      </div>
+      <div className="text-xs text-slate-400 font-body mb-3 truncate" title={timeline.fileName}>
+        {timeline.fileName} · {formatClipTime(duration)}
+      </div>
+
+      {/* Issue spans below, rep markers on top */}
+      <div className="relative h-8 bg-slate-800/60 rounded-lg overflow-hidden mb-3">
+        {issues.map((issue) => (
+          <div
+            key={`${issue.key}-${issue.start}`}
+            className={`absolute top-4 bottom-0 ${SEVERITY_COLORS[issue.severity] || SEVERITY_COLORS.info}`}
+            style={{ left: position(issue.start), width: `max(2px, ${position(issue.end - issue.start)})` }}
+            title={`${formatClipTime(issue.start)} ${issue.message || issue.key}`}
+          />
+        ))}
+        {reps.map((rep) => (
+          <div
+            key={rep.number}
+            className={`absolute top-0 h-4 w-0.5 ${rep.good ? "bg-green-400" : "bg-orange-400"}`}
+            style={{ left: position(rep.time) }}
+            title={`Rep ${rep.number} at ${formatClipTime(rep.time)}`}
+          />
+        ))}
+      </div>
+
+      <div className="space-y-1 text-sm text-white font-body">
+        <div className="flex justify-between"><span>Reps:</span><span className="text-cyan-400 font-bold">{reps.length}</span></div>
+        <div className="flex justify-between"><span>Good form:</span><span className="text-green-400">{goodReps} / {reps.length}</span></div>
+      </div>
+
+      {issues.length > 0 && (
+        <ul className="mt-3 pt-3 border-t border-slate-700 space-y-1 text-xs text-slate-300 font-body max-h-40 overflow-y-auto">
+          {issues.map((issue) => (
+            <li key={`${issue.key}-${issue.start}`} className="flex gap-2">
+              <span className="text-slate-500 font-mono">{formatClipTime(issue.start)}</span>
+              <span>{issue.message || issue.key}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
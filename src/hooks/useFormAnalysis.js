@@ -1,28 +1,28 @@
 import { useMemo } from 'react'
-import { calculateAngle, findKeypoint } from '../lib/angleUtils'
-import { analyzeSquat, analyzePushUp, analyzeWallSit, analyzeRomanianDeadlift } from '../lib/exerciseAnalyzers'
+import { analyzeExercise } from '../lib/exerciseAnalyzers'
+import { createBodyScaleCalibrator } from '../lib/bodyScale'
 
+/**
+ * Form analysis for the selected exercise
+ * @returns {Object} { analyzeForm, reset }
+ *   reset: drop the body-scale calibration - call it when a session, replayed trace or clip
+ *   starts so its results don't depend on what ran before
+ */
 export function useFormAnalysis(exercise) {
-  const analyzeForm = useMemo(() => {
-    return (keypoints) => {
+  return useMemo(() => {
+    // Distance checks are measured in torso lengths; the torso is calibrated
+    // afresh for each exercise from the first moment the user stands still
+    const calibrator = createBodyScaleCalibrator()
+
+    const analyzeForm = (keypoints) => {
       if (!keypoints || !exercise) {
-        return { feedback: '', isValid: false }
+        return { feedback: '', feedbackKey: null, isValid: false, issues: [] }
       }
 
-      switch (exercise) {
-        case 'squat':
-          return analyzeSquat(keypoints)
-        case 'push-up':
-          return analyzePushUp(keypoints)
-        case 'wall-sit':
-          return analyzeWallSit(keypoints)
-        case 'barbell-rdl':
-          return analyzeRomanianDeadlift(keypoints)
-        default:
-          return { feedback: '', isValid: false }
-      }
+      const bodyScale = calibrator.addFrame(keypoints)
+      return analyzeExercise(exercise, keypoints, { bodyScale })
     }
-  }, [exercise])
 
-  return { analyzeForm }
+    return { analyzeForm, reset: calibrator.reset }
+  }, [exercise])
 }
@@ -0,0 +1,82 @@
+import { useState, useRef, useCallback, useEffect, useMemo } from 'react'
+import { createHoldTimer } from '../lib/holdTimer'
+import { getHoldBand } from '../lib/exerciseRules'
+import { SEVERITY } from '../lib/formRules'
+
+// Hold target options in seconds (null = open-ended)
+export const HOLD_TARGETS = [null, 20, 30, 45, 60, 90]
+
+/**
+ * Hold mode for static exercises (wall sit, plank, ...)
+ *
+ * The timer only advances while the exercise's hold metric stays in its band
+ * and the analyzer reports no warning or critical issues. A summary of time in
+ * good form versus total time is kept after the session stops.
+ */
+export function useHoldTimer(exercise, isActive, targetSeconds = null) {
+  const [holdState, setHoldState] = useState(null)
+  const [wasActive, setWasActive] = useState(isActive)
+  const timerRef = useRef(null)
+  const lastPublishedRef = useRef(null)
+
+  const holdBand = getHoldBand(exercise)
+
+  // Drop the timer when the session or its settings change - trackHold starts a fresh one
+  useEffect(() => {
+    timerRef.current = null
+  }, [isActive, exercise, targetSeconds])
+
+  // A new session starts without the previous one's hold on display
+  if (wasActive !== isActive) {
+    setWasActive(isActive)
+    if (isActive) setHoldState(null)
+  }
+
+  // Once the session stops, the last published state is its summary
+  const holdSummary = useMemo(() => (
+    !isActive && holdState?.started
+      ? { goodTime: holdState.goodTime, totalTime: holdState.totalTime, target: holdState.target, completed: holdState.completed }
+      : null
+  ), [isActive, holdState])
+
+  /**
+   * Feed one frame of form analysis into the hold timer
+   * @param {number} [timestamp] - Frame time in ms (a replayed trace passes its own)
+   * @returns {Object|null} Hold event (see HOLD_EVENT) for voice cues
+   */
+  const trackHold = useCallback((formAnalysis, timestamp = Date.now()) => {
+    if (!isActive || !holdBand) return null
+    if (!timerRef.current) {
+      timerRef.current = createHoldTimer({ target: targetSeconds ? targetSeconds * 1000 : null })
+      lastPublishedRef.current = null
+    }
+    const timer = timerRef.current
+
+    const value = formAnalysis?.[holdBand.metric]
+    const inBand = value !== null && value !== undefined && value >= holdBand.min && value <= holdBand.max
+    // Informational issues don't break the hold
+    const inForm = inBand && !(formAnalysis.issues || []).some(issue => issue.severity !== SEVERITY.INFO)
+
+    const event = timer.update(inForm, timestamp)
+    const state = timer.getState()
+
+    // Only re-render when the displayed second or holding status changes
+    const previous = lastPublishedRef.current
+    if (!previous ||
+        previous.isHolding !== state.isHolding ||
+        Math.floor(previous.goodTime / 1000) !== Math.floor(state.goodTime / 1000) ||
+        Math.floor(previous.totalTime / 1000) !== Math.floor(state.totalTime / 1000)) {
+      setHoldState(state)
+    }
+    lastPublishedRef.current = state
+
+    return event
+  }, [isActive, holdBand, targetSeconds])
+
+  return {
+    isHoldMode: !!holdBand,
+    trackHold,
+    holdState: isActive ? holdState : null,
+    holdSummary
+  }
+}
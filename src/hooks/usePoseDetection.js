@@ -1,64 +1,147 @@
-import { useState, useCallback, useEffect } from 'react'
-import * as tf from '@tensorflow/tfjs'
-import * as poseDetection from '@tensorflow-models/pose-detection'
+import { useState, useCallback, useEffect, useRef } from 'react'
+import { DEFAULT_POSE_MODEL } from '../lib/poseModels'
+import { loadDetector, estimateKeypoints, decodeKeypoints, ACCELERATED_BACKENDS } from '../lib/poseInference'
+import { DEFAULT_FILTER_CONFIG, createKeypointFilter } from '../lib/keypointFilter'
 
-export function usePoseDetection() {
-  const [detector, setDetector] = useState(null)
+const STATS_INTERVAL = 1000 // ms between FPS / latency readout updates
+
+// Inference runs in a worker where the browser can hand it frames; whether it also gets a
+// GPU context is only known once the worker has picked its backend
+const supportsWorker = () =>
+  typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap === 'function'
+
+const createStatsWindow = () => ({ since: performance.now(), frames: 0, dropped: 0, latency: 0, inference: 0 })
+
+/**
+ * Pose detection with the selected model (see lib/poseModels.js)
+ * Inference runs in a Web Worker (workers/poseWorker.js) fed with ImageBitmap frames,
+ * or on the main thread where workers can't run it or only get the CPU backend. Only one frame is in flight at a
+ * time: camera frames that arrive while the model is still busy are dropped.
+ * Switching models disposes the current detector and loads the new one.
+ * Keypoints are smoothed and held through brief dropouts (lib/keypointFilter.js)
+ * before they're returned.
+ * @param {string} [modelId] - POSE_MODEL value
+ * @param {Object|false} [filterConfig] - Keypoint filter settings (keep the object stable),
+ *   or false for raw keypoints
+ * @returns {Object} { detectPose, resetFilter, keypoints, frameTime, isLoading, stats }
+ *   resetFilter: forget the smoothing and hold state, so a new session or clip doesn't start
+ *   from the last one's keypoints
+ *   frameTime: video time (s) of the frame the keypoints came from, for analyzing clips on their own clock
+ *   stats: { fps, latencyMs, inferenceMs, dropped, inWorker } over the last second, or null
+ *   latencyMs runs from frame capture to keypoints, inferenceMs is the model alone
+ */
+export function usePoseDetection(modelId = DEFAULT_POSE_MODEL, filterConfig = DEFAULT_FILTER_CONFIG) {
+  const [readyModel, setReadyModel] = useState(null) // Model that has finished loading (or failed to)
   const [keypoints, setKeypoints] = useState(null)
-  const [isLoading, setIsLoading] = useState(true)
+  const [frameTime, setFrameTime] = useState(null)
+  const [stats, setStats] = useState(null)
+
+  const workerRef = useRef(null)
+  const detectorRef = useRef(null) // Main-thread detector when no worker is used
+  const filterRef = useRef(null)
+  const inFlightRef = useRef(false)
+  const lastFrameTimeRef = useRef(null) // video.currentTime of the last frame sent
+  const inFlightTimeRef = useRef(null) // video.currentTime of the frame being detected
+  const statsWindowRef = useRef(createStatsWindow())
+
+  const isLoading = readyModel !== modelId
+
+  // Record one finished frame and publish the readout once a second
+  const handleResult = useCallback((packed, resultModel, timestamp, inferenceMs) => {
+    inFlightRef.current = false
+    const detected = packed ? decodeKeypoints(packed, resultModel) : null
+    setKeypoints(filterRef.current ? filterRef.current.filter(detected, timestamp) : detected)
+    setFrameTime(inFlightTimeRef.current)
+
+    const now = performance.now()
+    const current = statsWindowRef.current
+    current.frames += 1
+    current.latency += now - timestamp
+    current.inference += inferenceMs
+    const elapsed = now - current.since
+    if (elapsed >= STATS_INTERVAL) {
+      setStats({
+        fps: (current.frames * 1000) / elapsed,
+        latencyMs: current.latency / current.frames,
+        inferenceMs: current.inference / current.frames,
+        dropped: current.dropped,
+        inWorker: !!workerRef.current
+      })
+      statsWindowRef.current = createStatsWindow()
+    }
+  }, [])
 
   // Initialize detector
   useEffect(() => {
-    const initDetector = async () => {
+    let cancelled = false
+    inFlightRef.current = false
+    lastFrameTimeRef.current = null
+    statsWindowRef.current = createStatsWindow()
+    filterRef.current = filterConfig === false ? null : createKeypointFilter(filterConfig)
+
+    const initMainThread = async () => {
       try {
-        // Try to set backend to WebGL, fall back to CPU if it fails
-        // Suppress console warnings during backend selection
-        const originalWarn = console.warn
-        console.warn = () => {} // Temporarily suppress warnings
-        
-        let backendSet = false
-        const backends = ['webgl', 'cpu']
-        
-        for (const backend of backends) {
-          try {
-            await tf.setBackend(backend)
-            await tf.ready()
-            backendSet = true
-            break
-          } catch (backendError) {
-            // Silently try next backend
-            continue
-          }
+        const poseDetector = await loadDetector(modelId)
+        if (cancelled) {
+          poseDetector.dispose()
+          return
         }
-        
-        // Restore console.warn
-        console.warn = originalWarn
-        
-        if (!backendSet) {
-          // If all backends failed, just wait for default
-          await tf.ready()
-        }
-        
-        // Initialize MoveNet pose detector
-        const model = poseDetection.SupportedModels.MoveNet
-        const detectorConfig = {
-          modelType: poseDetection.movenet.modelType.SINGLEPOSE_LIGHTNING,
-          enableSmoothing: true,
-        }
-        const poseDetector = await poseDetection.createDetector(model, detectorConfig)
-        setDetector(poseDetector)
-        setIsLoading(false)
+        detectorRef.current = poseDetector
       } catch (error) {
         console.error('Error initializing pose detector:', error.message || error)
-        setIsLoading(false)
       }
+      if (!cancelled) setReadyModel(modelId)
     }
 
-    initDetector()
-  }, [])
+    if (!supportsWorker()) {
+      initMainThread()
+    } else {
+      const worker = new Worker(new URL('../workers/poseWorker.js', import.meta.url), { type: 'module' })
+      workerRef.current = worker
+
+      // A worker that can't run the model hands over to the main thread
+      const fallBack = (reason) => {
+        console.warn('Pose worker unavailable, detecting on the main thread:', reason)
+        worker.terminate()
+        if (workerRef.current === worker) workerRef.current = null
+        inFlightRef.current = false
+        if (!cancelled) initMainThread()
+      }
+
+      worker.onmessage = (event) => {
+        const message = event.data
+        if (message.type === 'ready') {
+          // Without WebGL in the worker TF.js drops to the CPU backend, far slower than main-thread WebGL
+          if (!ACCELERATED_BACKENDS.includes(message.backend)) {
+            fallBack(`no accelerated backend in the worker (got ${message.backend})`)
+            return
+          }
+          setReadyModel(message.modelId)
+        } else if (message.type === 'error') {
+          fallBack(message.message)
+        } else if (message.type === 'pose') {
+          if (message.modelId !== modelId) {
+            inFlightRef.current = false
+            return
+          }
+          handleResult(message.keypoints, message.modelId, message.timestamp, message.inferenceMs)
+        }
+      }
+      worker.onerror = (event) => fallBack(event.message)
+      worker.postMessage({ type: 'init', modelId })
+    }
+
+    return () => {
+      cancelled = true
+      workerRef.current?.terminate()
+      workerRef.current = null
+      detectorRef.current?.dispose()
+      detectorRef.current = null
+    }
+  }, [modelId, filterConfig, handleResult])
 
   const detectPose = useCallback(async (videoElement) => {
-    if (!detector) {
+    if (isLoading) {
       // Detector not ready
       return
     }
@@ -66,43 +149,50 @@ export function usePoseDetection() {
       // Video element not ready
       return
     }
+    // Nothing new from the camera since the last frame that was sent
+    if (videoElement.currentTime === lastFrameTimeRef.current) return
+    if (inFlightRef.current) {
+      // Still working on an earlier frame - drop this one
+      lastFrameTimeRef.current = videoElement.currentTime
+      statsWindowRef.current.dropped += 1
+      return
+    }
+    inFlightRef.current = true
+    lastFrameTimeRef.current = videoElement.currentTime
+    inFlightTimeRef.current = videoElement.currentTime
+    const timestamp = performance.now()
 
-    try {
-      const poses = await detector.estimatePoses(videoElement)
-      if (poses && poses.length > 0) {
-        const pose = poses[0]
-        // MoveNet returns keypoints as an array, assign names based on index
-        const keypointsWithNames = pose.keypoints.map((kp, idx) => {
-          // Ensure we have x, y, and score properties
-          const keypoint = {
-            x: kp.x || 0,
-            y: kp.y || 0,
-            score: kp.score || 0,
-            name: getKeypointName(idx) // Always assign name based on index
-          }
-          return keypoint
-        })
-        setKeypoints(keypointsWithNames)
-      } else {
-        // No pose detected - this is normal if person isn't in frame
-        setKeypoints(null)
+    const worker = workerRef.current
+    if (worker) {
+      try {
+        const bitmap = await createImageBitmap(videoElement)
+        worker.postMessage({ type: 'frame', bitmap, timestamp }, [bitmap])
+      } catch (error) {
+        inFlightRef.current = false
+        console.error('Error capturing frame:', error.message || error)
       }
-        } catch (error) {
-          console.error('Error detecting pose:', error.message || error)
-          setKeypoints(null)
-        }
-  }, [detector])
+      return
+    }
 
-  return { detectPose, keypoints, isLoading }
-}
+    const detector = detectorRef.current
+    if (!detector) {
+      inFlightRef.current = false
+      return
+    }
+    try {
+      const packed = await estimateKeypoints(detector, videoElement)
+      handleResult(packed, modelId, timestamp, performance.now() - timestamp)
+    } catch (error) {
+      inFlightRef.current = false
+      console.error('Error detecting pose:', error.message || error)
+      setKeypoints(null)
+    }
+  }, [isLoading, modelId, handleResult])
+
+  const resetFilter = useCallback(() => {
+    filterRef.current?.reset()
+    lastFrameTimeRef.current = null
+  }, [])
 
-// Helper function to get keypoint names (MoveNet keypoint indices)
-function getKeypointName(index) {
-  const names = [
-    'nose', 'left_eye', 'right_eye', 'left_ear', 'right_ear',
-    'left_shoulder', 'right_shoulder', 'left_elbow', 'right_elbow',
-    'left_wrist', 'right_wrist', 'left_hip', 'right_hip',
-    'left_knee', 'right_knee', 'left_ankle', 'right_ankle'
-  ]
-  return names[index] || `keypoint_${index}`
+  return { detectPose, resetFilter, keypoints, frameTime, isLoading, stats }
 }
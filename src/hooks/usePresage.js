@@ -1,5 +1,8 @@
 import { useState, useRef, useCallback, useEffect } from 'react'
-import { calculateAngle } from '../lib/angleUtils'
+import { createRepTracker } from '../lib/repTracker'
+import { summarizeSet } from '../lib/tempo'
+import { summarizeAsymmetry } from '../lib/asymmetry'
+import { measureTorsoLength } from '../lib/bodyScale'
 
 /**
  * Presage Physiology SDK Integration Hook
@@ -64,6 +67,7 @@ const createDataPoint = (keypoints, timestamp) => {
     centerY: hasLowerBody 
       ? ((hip?.y || 0) + (knee?.y || hip?.y || 0) + (shoulder?.y || hip?.y || 0)) / 3
       : chestY, // Use chest position if no lower body
+    torsoLength: measureTorsoLength(keypoints), // Body reference for distances (null without shoulders and hips)
     hasFullBody: hasLowerBody && hasUpperBody
   }
 }
@@ -91,6 +95,10 @@ export const SIGNAL_CONFIDENCE = {
 export function usePresage(exercise, isActive) {
   const [predictions, setPredictions] = useState(null)
   const [isAnalyzing, setIsAnalyzing] = useState(false)
+  const [repCount, setRepCount] = useState(0)
+  const [repsBySide, setRepsBySide] = useState(null) // { left, right } for exercises that alternate sides (lunges)
+  const [cadence, setCadence] = useState(null) // Reps per minute for cardio moves
+  const [lastSetSummary, setLastSetSummary] = useState(null) // Reps, good reps and time under tension of the last set
   
   // Breathing tracking state
   const [breathingRate, setBreathingRate] = useState(BREATHING_RATE.NORMAL)
@@ -101,7 +109,7 @@ export function usePresage(exercise, isActive) {
   const movementHistoryRef = useRef([])
   const repHistoryRef = useRef([])
   const breathingHistoryRef = useRef([]) // Track chest/shoulder vertical movement for breathing
-  const lastRepTimeRef = useRef(null)
+  const repTrackerRef = useRef(null) // Rep counter, cadence and asymmetry for the exercise (lib/repTracker.js)
   const lastPredictionTimeRef = useRef(0)
   const lastBreathingAnalysisRef = useRef(0)
   
@@ -109,6 +117,7 @@ export function usePresage(exercise, isActive) {
   const HISTORY_WINDOW = 3000 // 3 seconds of history
   const PREDICTION_INTERVAL = 5000 // Predict every 5 seconds
   const MIN_REPS_FOR_ANALYSIS = 3 // Need at least 3 reps to predict
+  const INSTABILITY_SPREAD = 0.25 // Body-center standard deviation in torso lengths that counts as unstable
   const BREATHING_ANALYSIS_INTERVAL = 3000 // Analyze breathing every 3 seconds
   const BREATHING_WINDOW = 10000 // 10 seconds of breathing data
 
@@ -151,106 +160,46 @@ export function usePresage(exercise, isActive) {
   }, [isActive, exercise])
 
   /**
-   * Detect rep completion and track rep speed
+   * Build the rep tracker for the exercise's primary signal (knee angle, elbow angle, ...)
+   * or, for compound movements (burpees), its phase sequence
    */
-  const trackRep = useCallback((keypoints, formAnalysis) => {
-    if (!isActive || !exercise || !keypoints) return
-
-    const dataPoint = createDataPoint(keypoints, Date.now())
-    if (!dataPoint) return
-
-    const history = movementHistoryRef.current
-    if (history.length < 10) return // Need some history
-
-    if (exercise === 'squat') {
-      // For squat: detect when user goes down and comes back up
-      // Find lowest point (bottom of squat)
-      const lowestPoint = history.reduce((min, point) => 
-        point.centerY > min.centerY ? point : min
-      )
-
-      // Check if we're at the bottom (within threshold)
-      const isAtBottom = Math.abs(dataPoint.centerY - lowestPoint.centerY) < 20
-
-      // Check if we just came up from bottom
-      const recentPoints = history.slice(-5)
-      const wasLower = recentPoints.some(p => p.centerY > dataPoint.centerY + 30)
-
-      if (wasLower && !isAtBottom && formAnalysis?.isValid) {
-        // Rep completed
-        const now = Date.now()
-        if (lastRepTimeRef.current) {
-          const repDuration = now - lastRepTimeRef.current
-          repHistoryRef.current.push({
-            timestamp: now,
-            duration: repDuration,
-            formQuality: formAnalysis.isValid ? 'good' : 'poor'
-          })
-
-          // Keep only last 10 reps
-          if (repHistoryRef.current.length > 10) {
-            repHistoryRef.current.shift()
-          }
-        }
-        lastRepTimeRef.current = now
-      }
-    } else if (exercise === 'push-up') {
-      // For push-up: detect when user goes down (elbow bends) and comes back up (elbow straightens)
-      // Track shoulder vertical position (goes down when lowering, up when pushing)
-      if (!dataPoint.shoulderY) return
-
-      // Find lowest point (bottom of push-up - shoulders closest to ground)
-      const lowestPoint = history.reduce((min, point) => 
-        point.shoulderY && min.shoulderY ? (point.shoulderY > min.shoulderY ? point : min) : min
-      )
+  useEffect(() => {
+    repTrackerRef.current = createRepTracker(exercise)
+  }, [exercise])
 
-      if (!lowestPoint.shoulderY) return
+  /**
+   * Detect rep completion and track rep speed
+   * Feeds the primary signal from the form analysis into the rep state machine.
+   * Every completed rep is recorded and tagged good or poor, with its tempo
+   * and, for split-stance exercises, the leg that was in front.
+   * Exercises with per-side signals (curls) count each arm on its own.
+   * Cardio moves also record the cadence when each rep finished: { rpm, best, dropped }.
+   * Compound movements count a rep only when the whole sequence completes; an
+   * incomplete one is returned (not counted) so its skipped phase can be named.
+   * Single-signal reps also carry the left/right asymmetry seen while moving (asymmetry.js).
+   * @param {number} [timestamp] - Frame time in ms (a replayed trace passes its own)
+   * @returns {Object|null} The rep completed on this frame, if any
+   */
+  const trackRep = useCallback((keypoints, formAnalysis, timestamp = Date.now()) => {
+    if (!isActive || !exercise || !keypoints || !formAnalysis) return null
 
-      // Check if we're at the bottom (shoulders at lowest point)
-      const isAtBottom = Math.abs(dataPoint.shoulderY - lowestPoint.shoulderY) < 20
+    const tracker = repTrackerRef.current
+    if (!tracker) return null
 
-      // Check if we just came up from bottom (shoulders moved up significantly)
-      const recentPoints = history.slice(-5)
-      const wasLower = recentPoints.some(p => 
-        p.shoulderY && dataPoint.shoulderY && p.shoulderY > dataPoint.shoulderY + 30
-      )
+    const { completed, incomplete } = tracker.update(formAnalysis, timestamp)
+    if (completed.length === 0) return incomplete
 
-      // Also check elbow angle - should be bent at bottom, straight at top
-      const getKeypoint = (name) => {
-        return keypoints.find(kp => kp && kp.name && kp.name.toLowerCase().includes(name.toLowerCase()) && kp.score > 0.3)
-      }
-      const shoulder = getKeypoint('shoulder')
-      const elbow = getKeypoint('elbow')
-      const wrist = getKeypoint('wrist')
-      
-      if (shoulder && elbow && wrist) {
-        const elbowAngle = calculateAngle(shoulder, elbow, wrist)
-        
-        // At top: elbow angle ~180° (straight), at bottom: ~90° (bent)
-        const isAtTop = elbowAngle > 160
-        const wasAtBottom = elbowAngle < 120 // Was bent (at bottom)
-
-        // Check if we came up from bottom (shoulders moved up) and reached top (elbow straight)
-        if (wasLower && !isAtBottom && isAtTop && formAnalysis?.isValid) {
-          // Rep completed (came up from bottom and reached top)
-          const now = Date.now()
-          if (lastRepTimeRef.current) {
-            const repDuration = now - lastRepTimeRef.current
-            repHistoryRef.current.push({
-              timestamp: now,
-              duration: repDuration,
-              formQuality: formAnalysis.isValid ? 'good' : 'poor'
-            })
-
-            // Keep only last 10 reps
-            if (repHistoryRef.current.length > 10) {
-              repHistoryRef.current.shift()
-            }
-          }
-          lastRepTimeRef.current = now
-        }
+    if (repHistoryRef.current.length === 0) setLastSetSummary(null)
+    completed.forEach(rep => {
+      repHistoryRef.current.push(rep)
+      if (rep.side) {
+        setRepsBySide(prev => ({ left: 0, right: 0, ...prev, [rep.side]: (prev?.[rep.side] || 0) + 1 }))
       }
-    }
+      if (rep.cadence?.rpm) setCadence(Math.round(rep.cadence.rpm))
+    })
+    // A rep paired with the other arm's (both arms together) is one rep of the set
+    setRepCount(repHistoryRef.current.filter(rep => !rep.paired).length)
+    return completed[completed.length - 1]
   }, [isActive, exercise])
 
   /**
@@ -260,7 +209,7 @@ export function usePresage(exercise, isActive) {
     if (!isActive || !exercise) return null
 
     const history = movementHistoryRef.current
-    const reps = repHistoryRef.current
+    const reps = repHistoryRef.current.filter(rep => !rep.paired)
 
     if (history.length < 20 || reps.length < MIN_REPS_FOR_ANALYSIS) {
       return null
@@ -282,12 +231,17 @@ export function usePresage(exercise, isActive) {
     const recentFormQuality = recentReps.filter(rep => rep.formQuality === 'good').length / recentReps.length
     const formDeclining = recentFormQuality < 0.6 // Less than 60% good form
 
-    // Calculate movement variability (higher = more instability)
+    // Calculate movement variability (higher = more instability), in torso lengths
+    // so it doesn't depend on the distance from the camera
     const recentPoints = history.slice(-30)
+    const torsoLengths = recentPoints.map(p => p.torsoLength).filter(Boolean)
+    const avgTorsoLength = torsoLengths.length > 0
+      ? torsoLengths.reduce((sum, length) => sum + length, 0) / torsoLengths.length
+      : null
     const centerYValues = recentPoints.map(p => p.centerY)
     const avgCenterY = centerYValues.reduce((sum, y) => sum + y, 0) / centerYValues.length
     const variance = centerYValues.reduce((sum, y) => sum + Math.pow(y - avgCenterY, 2), 0) / centerYValues.length
-    const highVariability = variance > 1000 // Threshold for instability
+    const highVariability = avgTorsoLength !== null && Math.sqrt(variance) / avgTorsoLength > INSTABILITY_SPREAD
 
     // Generate predictions
     const predictions = {
@@ -475,10 +429,16 @@ export function usePresage(exercise, isActive) {
    */
   useEffect(() => {
     if (!isActive) {
+      // Keep the finished set's summary (time under tension, tempo, weaker side) for display
+      const summary = summarizeSet(repHistoryRef.current)
+      if (summary) setLastSetSummary({ ...summary, asymmetry: summarizeAsymmetry(repHistoryRef.current) })
       movementHistoryRef.current = []
       repHistoryRef.current = []
       breathingHistoryRef.current = []
-      lastRepTimeRef.current = null
+      repTrackerRef.current?.reset()
+      setRepCount(0)
+      setRepsBySide(null)
+      setCadence(null)
       setPredictions(null)
       setBreathingRate(BREATHING_RATE.NORMAL)
       setBreathingConsistency(BREATHING_CONSISTENCY.STEADY)
@@ -492,7 +452,10 @@ export function usePresage(exercise, isActive) {
     getPredictions,
     predictions,
     isAnalyzing,
-    repCount: repHistoryRef.current.length,
+    repCount,
+    repsBySide,
+    cadence,
+    lastSetSummary,
     // Breathing metrics (for coaching adaptation)
     breathingRate,
     breathingConsistency,
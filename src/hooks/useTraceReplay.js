@@ -0,0 +1,53 @@
+import { useState, useEffect, useRef } from 'react'
+import { decodeTraceKeypoints } from '../lib/sessionTrace'
+
+const END_DELAY = 1500 // ms to let the last cue finish before the replay ends
+
+/**
+ * Play a session trace (lib/sessionTrace.js) back in place of the camera
+ * Frames come out on the schedule they were recorded with. Their timestamps are
+ * the replay's start time plus the recorded offsets, so rep timing and cue pacing
+ * don't depend on how punctually the browser runs the timers.
+ * @param {Object|null} trace - Trace to play, or null for none
+ * @param {Function} [onEnd] - Called once the last frame has played
+ * @returns {Object} { frame, isReplaying }
+ *   frame: { keypoints, timestamp, index } for the current frame, or null
+ */
+export function useTraceReplay(trace, onEnd) {
+  const [current, setCurrent] = useState(null) // { trace, frame }
+  const onEndRef = useRef(onEnd)
+
+  useEffect(() => {
+    onEndRef.current = onEnd
+  }, [onEnd])
+
+  useEffect(() => {
+    if (!trace) return
+
+    const startTime = Date.now()
+    let index = 0
+    let timer
+
+    const playNext = () => {
+      const entry = trace.frames[index]
+      setCurrent({
+        trace,
+        frame: { keypoints: decodeTraceKeypoints(entry, trace.keypointNames), timestamp: startTime + entry.t, index }
+      })
+      index += 1
+      if (index < trace.frames.length) {
+        timer = setTimeout(playNext, Math.max(0, startTime + trace.frames[index].t - Date.now()))
+      } else {
+        timer = setTimeout(() => onEndRef.current?.(), END_DELAY)
+      }
+    }
+
+    timer = setTimeout(playNext, trace.frames[0].t)
+    return () => clearTimeout(timer)
+  }, [trace])
+
+  return {
+    frame: current?.trace === trace ? current.frame : null,
+    isReplaying: !!trace
+  }
+}
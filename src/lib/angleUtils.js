@@ -26,6 +26,8 @@ export function calculateDistance(p1, p2) {
 
 /**
  * Find keypoint by name (case-insensitive partial match)
+ * An exact name wins over a partial one, so 'left_eye' doesn't pick up
+ * BlazePose's 'left_eye_inner'
  * @param {Array} keypoints - Array of keypoint objects
  * @param {string} name - Name to search for
  * @returns {Object|null} Keypoint object or null
@@ -34,8 +36,7 @@ export function findKeypoint(keypoints, name) {
   if (!keypoints || keypoints.length === 0) return null
   
   const lowerName = name.toLowerCase()
-  return keypoints.find(kp => {
-    const kpName = (kp.name || '').toLowerCase()
-    return kpName.includes(lowerName) && kp.score > 0.3
-  })
+  const visible = keypoints.filter(kp => kp && kp.score > 0.3)
+  return visible.find(kp => (kp.name || '').toLowerCase() === lowerName) ||
+    visible.find(kp => (kp.name || '').toLowerCase().includes(lowerName))
 }
@@ -0,0 +1,125 @@
+/**
+ * Left/right asymmetry tracking
+ *
+ * When both sides are visible the rule engine measures each generic joint angle
+ * on the left and on the right (evaluateRules().bilateral). During a rep the
+ * signed left - right difference is averaged per joint; at the end of the rep
+ * the largest consistent difference over the threshold is flagged with the side
+ * that bent more (e.g. the leg taking more of the weight).
+ */
+
+const DEFAULT_THRESHOLD = 10 // degrees, average left/right difference over a rep
+const MIN_FRAMES = 3 // Frames with both sides visible before a rep is judged
+
+/**
+ * Feedback key for a flagged joint: 'asymmetry-left-knee', 'asymmetry-right-elbow', ...
+ */
+export function getAsymmetryKey(side, joint) {
+  return `asymmetry-${side}-${joint}`
+}
+
+/**
+ * Create a per-rep asymmetry tracker
+ * @param {Object} [config]
+ * @param {number} [config.threshold] - Average difference in degrees that counts as uneven
+ * @returns {Object} { addFrame, endRep, reset }
+ */
+export function createAsymmetryTracker(config = {}) {
+  const threshold = config.threshold ?? DEFAULT_THRESHOLD
+
+  let sums = {} // metric -> { joint, total, frames }
+
+  /**
+   * Record one frame of both-side measurements
+   * @param {Object} bilateral - { [metric]: { left, right, joint } } from evaluateRules
+   */
+  const addFrame = (bilateral) => {
+    if (!bilateral) return
+    Object.entries(bilateral).forEach(([metric, { left, right, joint }]) => {
+      const entry = sums[metric] || { joint, total: 0, frames: 0 }
+      entry.total += left - right
+      entry.frames += 1
+      sums[metric] = entry
+    })
+  }
+
+  /**
+   * Close the current rep
+   * @returns {Object|null} { differences, flagged } or null if too few frames were seen
+   *   differences: { [metric]: { joint, difference } } average left - right in degrees
+   *   flagged: { metric, joint, side, difference, key } for the most uneven joint, or null
+   *   side is the side with the smaller (more bent) angle
+   */
+  const endRep = () => {
+    const measured = Object.entries(sums).filter(([, entry]) => entry.frames >= MIN_FRAMES)
+    sums = {}
+    if (measured.length === 0) return null
+
+    const differences = {}
+    measured.forEach(([metric, entry]) => {
+      differences[metric] = { joint: entry.joint, difference: entry.total / entry.frames }
+    })
+
+    const [worstMetric, worst] = Object.entries(differences)
+      .sort(([, a], [, b]) => Math.abs(b.difference) - Math.abs(a.difference))[0]
+    if (Math.abs(worst.difference) < threshold) return { differences, flagged: null }
+
+    const side = worst.difference < 0 ? 'left' : 'right'
+    return {
+      differences,
+      flagged: {
+        metric: worstMetric,
+        joint: worst.joint,
+        side,
+        difference: Math.abs(worst.difference),
+        key: getAsymmetryKey(side, worst.joint)
+      }
+    }
+  }
+
+  const reset = () => {
+    sums = {}
+  }
+
+  return { addFrame, endRep, reset }
+}
+
+/**
+ * Summarize asymmetry over a set of reps
+ * @param {Array} reps - Recorded reps, each optionally carrying `asymmetry` from endRep()
+ * @param {number} [threshold] - Average difference in degrees that counts as uneven
+ * @returns {Object|null} { joints: [{ metric, joint, side, difference, uneven, unevenReps }] } sorted most uneven first,
+ *   or null if no rep had both sides measured. side is the side that bent more on average,
+ *   uneven is whether that average reaches the threshold.
+ */
+export function summarizeAsymmetry(reps, threshold = DEFAULT_THRESHOLD) {
+  const measured = (reps || []).filter(rep => rep.asymmetry)
+  if (measured.length === 0) return null
+
+  const byMetric = {}
+  measured.forEach(rep => {
+    Object.entries(rep.asymmetry.differences).forEach(([metric, { joint, difference }]) => {
+      const entry = byMetric[metric] || { metric, joint, total: 0, reps: 0, unevenReps: 0 }
+      entry.total += difference
+      entry.reps += 1
+      if (Math.abs(difference) >= threshold) entry.unevenReps += 1
+      byMetric[metric] = entry
+    })
+  })
+
+  const joints = Object.values(byMetric)
+    .map(({ metric, joint, total, reps, unevenReps }) => {
+      const difference = total / reps
+      return {
+        metric,
+        joint,
+        side: difference < 0 ? 'left' : 'right',
+        difference: Math.abs(difference),
+        uneven: Math.abs(difference) >= threshold,
+        unevenReps
+      }
+    })
+    .sort((a, b) => b.difference - a.difference)
+
+  return { joints }
+}
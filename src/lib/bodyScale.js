@@ -0,0 +1,100 @@
+import { calculateDistance, findKeypoint } from './angleUtils'
+
+/**
+ * Body-scale reference for distance metrics
+ *
+ * Pixel distances change with how far the user stands from the camera and with
+ * the video resolution, so distance-based checks are expressed in torso lengths
+ * (shoulder midpoint to hip midpoint) instead. The torso is measured during a
+ * short calibration pose - standing upright and still - and until that has been
+ * seen each frame's own torso length stands in for it. Standing still again at a
+ * clearly different size (stepping nearer or farther) recalibrates.
+ */
+
+const DEFAULT_FRAMES = 15 // Consecutive upright frames (~0.5 s) that make up the calibration pose
+const DEFAULT_TOLERANCE = 0.1 // Spread of the torso lengths relative to their median while still
+const DEFAULT_MAX_LEAN = 15 // degrees from vertical that still counts as standing upright
+const DEFAULT_DRIFT = 0.15 // Change in torso length relative to the locked one that recalibrates
+
+// Midpoint of a left/right pair, or whichever one is visible
+function midpoint(keypoints, name) {
+  const left = findKeypoint(keypoints, `left_${name}`)
+  const right = findKeypoint(keypoints, `right_${name}`)
+  if (left && right) return { x: (left.x + right.x) / 2, y: (left.y + right.y) / 2 }
+  return left || right || null
+}
+
+/**
+ * Torso length in pixels for one frame
+ * @returns {number|null} Distance from the shoulder midpoint to the hip midpoint, or null if not visible
+ */
+export function measureTorsoLength(keypoints) {
+  const shoulder = midpoint(keypoints, 'shoulder')
+  const hip = midpoint(keypoints, 'hip')
+  if (!shoulder || !hip) return null
+  return calculateDistance(shoulder, hip) || null
+}
+
+// Torso lean from vertical in degrees, or null if not visible
+function measureLean(keypoints) {
+  const shoulder = midpoint(keypoints, 'shoulder')
+  const hip = midpoint(keypoints, 'hip')
+  if (!shoulder || !hip) return null
+  return Math.atan2(Math.abs(shoulder.x - hip.x), Math.abs(shoulder.y - hip.y)) * 180 / Math.PI
+}
+
+/**
+ * Create a body-scale calibrator
+ * Feed it every frame; once the user has stood upright and still for `frames`
+ * frames in a row the median torso length is locked in as the body scale. A later
+ * calibration pose more than `drift` away from it replaces it.
+ * @param {Object} [config]
+ * @param {number} [config.frames] - Consecutive upright frames needed
+ * @param {number} [config.tolerance] - Largest (max - min) / median spread that counts as still
+ * @param {number} [config.maxLean] - Torso lean from vertical in degrees that counts as upright
+ * @param {number} [config.drift] - Relative change in torso length that recalibrates
+ * @returns {Object} { addFrame, getScale, reset }
+ */
+export function createBodyScaleCalibrator(config = {}) {
+  const frames = config.frames ?? DEFAULT_FRAMES
+  const tolerance = config.tolerance ?? DEFAULT_TOLERANCE
+  const maxLean = config.maxLean ?? DEFAULT_MAX_LEAN
+  const drift = config.drift ?? DEFAULT_DRIFT
+
+  let run = [] // Torso lengths of the current run of upright frames
+  let scale = null
+
+  /**
+   * Record one frame of keypoints
+   * @returns {number|null} The calibrated torso length in pixels, or null until calibrated
+   */
+  const addFrame = (keypoints) => {
+    if (!keypoints) return scale
+
+    const length = measureTorsoLength(keypoints)
+    const lean = measureLean(keypoints)
+    if (length === null || lean === null || lean > maxLean) {
+      run = []
+      return scale
+    }
+
+    run.push(length)
+    if (run.length > frames) run.shift()
+    if (run.length < frames) return scale
+
+    const sorted = [...run].sort((a, b) => a - b)
+    const median = sorted[Math.floor(sorted.length / 2)]
+    const still = (sorted[sorted.length - 1] - sorted[0]) / median <= tolerance
+    if (still && (scale === null || Math.abs(median - scale) / scale > drift)) scale = median
+    return scale
+  }
+
+  const getScale = () => scale
+
+  const reset = () => {
+    run = []
+    scale = null
+  }
+
+  return { addFrame, getScale, reset }
+}
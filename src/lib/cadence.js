@@ -0,0 +1,57 @@
+/**
+ * Cadence tracking for cardio moves (jumping jacks, high knees, butt kicks)
+ *
+ * Cadence is reps per minute over a rolling window of recent reps.
+ * Once the set has settled into a rhythm, a cadence well below the best
+ * the user has held so far counts as a drop, so the coach can cue the pace.
+ */
+
+const DEFAULT_WINDOW = 10000 // ms
+const DEFAULT_DROP_RATIO = 0.75 // Below this fraction of the best cadence = slowing down
+const MIN_REPS = 3 // Reps in the window before a cadence is reported
+
+/**
+ * Create a cadence tracker
+ * @param {Object} [config]
+ * @param {number} [config.window] - Rolling window in ms
+ * @param {number} [config.dropRatio] - Fraction of the best cadence below which the pace has dropped
+ * @returns {Object} { addRep, getCadence, reset }
+ */
+export function createCadenceTracker(config = {}) {
+  const window = config.window ?? DEFAULT_WINDOW
+  const dropRatio = config.dropRatio ?? DEFAULT_DROP_RATIO
+
+  let timestamps = []
+  let best = null
+
+  /**
+   * Reps per minute at `now`, or null until there are enough reps in the window
+   */
+  const getCadence = (now) => {
+    const recent = timestamps.filter(timestamp => now - timestamp <= window)
+    if (recent.length < MIN_REPS) return null
+    // Intervals between reps, so the first rep in the window only marks the start
+    const span = recent[recent.length - 1] - recent[0]
+    return span > 0 ? ((recent.length - 1) / span) * 60000 : null
+  }
+
+  /**
+   * Record a completed rep
+   * @param {number} timestamp - Time the rep finished, in ms
+   * @returns {Object} { rpm, best, dropped } - rpm is null until enough reps
+   */
+  const addRep = (timestamp) => {
+    timestamps = [...timestamps.filter(t => timestamp - t <= window), timestamp]
+    const rpm = getCadence(timestamp)
+    const dropped = rpm !== null && best !== null && rpm < best * dropRatio
+    if (rpm !== null && (best === null || rpm > best)) best = rpm
+    return { rpm, best, dropped }
+  }
+
+  const reset = () => {
+    timestamps = []
+    best = null
+  }
+
+  return { addRep, getCadence, reset }
+}
@@ -1,503 +1,317 @@
-import { calculateAngle, findKeypoint } from './angleUtils'
+import { evaluateRules } from './formRules'
+import { getDefaultFeedback } from './feedbackVariants'
+import {
+  EXERCISE_RULES,
+  SQUAT_RULES,
+  PUSH_UP_RULES,
+  WALL_SIT_RULES,
+  ROMANIAN_DEADLIFT_RULES,
+  DEADLIFT_RULES,
+  SWING_RULES,
+  BENT_OVER_ROW_RULES,
+  RENEGADE_ROW_RULES,
+  LUNGE_RULES,
+  STEP_UP_RULES,
+  CHAIR_SQUAT_RULES,
+  CALF_RAISE_RULES,
+  DIP_RULES,
+  PLANK_RULES,
+  SIDE_PLANK_RULES,
+  ELBOW_FLEXION_RULES,
+  ELBOW_EXTENSION_RULES,
+  OVERHEAD_TRICEP_RULES,
+  OVERHEAD_PRESS_RULES,
+  RAISE_RULES,
+  GLUTE_BRIDGE_RULES,
+  CRUNCH_RULES,
+  BICYCLE_CRUNCH_RULES,
+  LEG_RAISE_RULES,
+  DEAD_BUG_RULES,
+  RUSSIAN_TWIST_RULES,
+  BURPEE_RULES,
+  MOUNTAIN_CLIMBER_RULES
+} from './exerciseRules'
 
 /**
- * Analyze squat form based on keypoints
- * Checks: knee angle, hip position, back alignment
+ * Run a rule definition against keypoints and shape the result for the UI
+ * The highest ranked issue wins; if nothing is violated the first matching cue is used.
+ * Measured metrics (kneeAngle, hipAngle, ...) are spread onto the result.
+ *
+ * Result: { feedbackKey, feedback, isValid, issues, leadSide, bilateral, view, ...metrics }
+ *   feedbackKey - stable key to pass to getFeedbackVariant()
+ *   feedback    - default text for that key (for display)
+ *   issues      - every violated rule as { key, severity, joint, measured, target }, ranked
+ *   leadSide    - front leg for split-stance exercises ('left' / 'right'), otherwise null
+ *   bilateral   - left and right values of joint angles visible on both sides (asymmetry.js)
+ *   view        - detected camera view (front, left-side, right-side, three-quarter)
+ * options.bodyScale is the calibrated torso length (bodyScale.js) that distance metrics are
+ * measured in; without it each frame's own torso length is used.
  */
-export function analyzeSquat(keypoints) {
-  const leftHip = findKeypoint(keypoints, 'left_hip')
-  const rightHip = findKeypoint(keypoints, 'right_hip')
-  const leftKnee = findKeypoint(keypoints, 'left_knee')
-  const rightKnee = findKeypoint(keypoints, 'right_knee')
-  const leftAnkle = findKeypoint(keypoints, 'left_ankle')
-  const rightAnkle = findKeypoint(keypoints, 'right_ankle')
-  const leftShoulder = findKeypoint(keypoints, 'left_shoulder')
-  const rightShoulder = findKeypoint(keypoints, 'right_shoulder')
-
-  // Use left side by default, fallback to right
-  const hip = leftHip || rightHip
-  const knee = leftKnee || rightKnee
-  const ankle = leftAnkle || rightAnkle
-  const shoulder = leftShoulder || rightShoulder
+export function analyzeWithRules(definition, keypoints, options = {}) {
+  const result = evaluateRules(definition, keypoints, options)
 
   // If key body parts are missing, return empty feedback (visual indicator will show instead)
-  if (!hip || !knee || !ankle) {
+  if (!result.ready) {
     return {
       feedback: '',
-      isValid: false
+      feedbackKey: null,
+      isValid: false,
+      issues: []
     }
   }
 
-  // Calculate knee angle (hip-knee-ankle)
-  const kneeAngle = calculateAngle(hip, knee, ankle)
-
-  // Calculate hip angle (shoulder-hip-knee) for back alignment
-  let hipAngle = null
-  if (shoulder) {
-    hipAngle = calculateAngle(shoulder, hip, knee)
+  const [topIssue] = result.violations
+  const [topCue] = result.cues
+  // From the wrong angle the cues can't be trusted, so asking the user to turn comes first
+  const feedbackKey = topIssue?.key || result.viewKey || topCue?.key || null
+
+  return {
+    ...result.metrics,
+    feedbackKey,
+    feedback: getDefaultFeedback(feedbackKey),
+    isValid: !topIssue,
+    issues: result.violations,
+    leadSide: result.leadSide,
+    bilateral: result.bilateral,
+    view: result.view
   }
+}
 
-  // DEMO-SAFE BAD SQUAT DETECTION
-  // Catch obvious bad squats where user bends forward without bending knees
-  // Make this very sensitive to catch any bad squat pattern
-  // Multiple conditions to catch different types of bad squats
-  if (shoulder && hipAngle !== null) {
-    // Condition 1: Forward lean with mostly straight knees (most common bad squat)
-    const isForwardLeanWithStraightKnees = hipAngle < 160 && kneeAngle > 140
-    
-    // Condition 2: Significant forward lean (very bad form)
-    const isSignificantForwardLean = hipAngle < 150 && kneeAngle > 130
-    
-    // Condition 3: Moderate forward lean with very straight knees
-    const isModerateLeanWithVeryStraightKnees = hipAngle < 170 && kneeAngle > 150
-    
-    if (isForwardLeanWithStraightKnees || isSignificantForwardLean || isModerateLeanWithVeryStraightKnees) {
-      return {
-        feedback: 'Keep your chest up and bend your knees as you squat',
-        isValid: false,
-        kneeAngle,
-        hipAngle
-      }
-    }
+/**
+ * Analyze keypoints for any exercise with a rule definition
+ * Exercises without one return empty feedback
+ * @param {Object} [options] - { bodyScale } passed on to analyzeWithRules()
+ */
+export function analyzeExercise(exercise, keypoints, options = {}) {
+  const definition = EXERCISE_RULES[exercise]
+  if (!definition) {
+    return { feedback: '', feedbackKey: null, isValid: false, issues: [] }
   }
+  return analyzeWithRules(definition, keypoints, options)
+}
 
-  // Determine feedback based on angles
-  let feedback = ''
-  let isValid = true
+/**
+ * Analyze squat form based on keypoints
+ * Checks: knee angle, hip position, back alignment
+ */
+export function analyzeSquat(keypoints) {
+  return analyzeWithRules(SQUAT_RULES, keypoints)
+}
 
-  // PRIORITIZE: Back alignment check first (most important for safety)
-  // If back is obviously bending too much, return early with that feedback
-  if (hipAngle !== null && hipAngle < 130) {
-    // Significantly rounded forward - critical issue, return immediately
-    return {
-      feedback: 'Keep your back straight and chest up',
-      isValid: false,
-      kneeAngle,
-      hipAngle
-    }
-  }
+/**
+ * Analyze push-up form based on keypoints
+ * Checks: elbow angle, body alignment, depth
+ */
+export function analyzePushUp(keypoints) {
+  return analyzeWithRules(PUSH_UP_RULES, keypoints)
+}
 
-  // Detect if upper body is bent over (parallel to ground) instead of upright
-  // Check if shoulder-hip line is too horizontal (bending at hips)
-  if (shoulder && hip && knee) {
-    // Calculate upper body angle (shoulder-hip line) relative to vertical
-    // 0° = vertical (upright), 90° = horizontal (bent over)
-    const upperBodyVerticalDiff = Math.abs(shoulder.y - hip.y)
-    const upperBodyHorizontalDiff = Math.abs(shoulder.x - hip.x)
-    const upperBodyAngleFromVertical = Math.atan2(upperBodyHorizontalDiff, upperBodyVerticalDiff) * 180 / Math.PI
-    
-    // Detect "bow" pattern: upper body bent forward with straight/almost straight knees
-    // More sensitive to catch bowing motion - lower threshold
-    // Check multiple conditions to catch different types of bowing
-    const isBowingForward = upperBodyAngleFromVertical > 30 && kneeAngle > 155
-    const isBowingWithStraightKnees = upperBodyAngleFromVertical > 25 && kneeAngle > 165
-    
-    if (isBowingForward || isBowingWithStraightKnees) {
-      // Upper body is bent forward and knees are straight/almost straight - this is a bow
-      return {
-        feedback: 'Bend your knees and keep your chest up - sit back into the squat',
-        isValid: false,
-        kneeAngle,
-        hipAngle
-      }
-    }
-    
-    // If upper body is bent over (angle > 60° from vertical = almost horizontal)
-    // AND they're attempting to squat (knee angle < 170)
-    // This indicates they're bending at hips instead of sitting back
-    if (upperBodyAngleFromVertical > 60 && kneeAngle < 170) {
-      return {
-        feedback: 'Keep the upper body upright and sit back like you\'re in a chair',
-        isValid: false,
-        kneeAngle,
-        hipAngle
-      }
-    }
-  }
+/**
+ * Analyze wall sit form based on keypoints
+ * Checks: knee angle (~90°), back upright (vertical), hips low enough
+ */
+export function analyzeWallSit(keypoints) {
+  return analyzeWithRules(WALL_SIT_RULES, keypoints)
+}
 
-  // Detect "good morning" pattern: upper body bending forward while legs stay straight
-  // This is a separate check from the bow pattern above
-  // Good morning = whole upper body forward lean with straight/almost straight knees
-  if (shoulder && hip && knee) {
-    const hipShoulderHeightDiff = hip.y - shoulder.y
-    
-    // Calculate upper body angle to detect forward lean
-    const upperBodyVerticalDiff = Math.abs(shoulder.y - hip.y)
-    const upperBodyHorizontalDiff = Math.abs(shoulder.x - hip.x)
-    const upperBodyAngleFromVertical = Math.atan2(upperBodyHorizontalDiff, upperBodyVerticalDiff) * 180 / Math.PI
-    
-    // Good morning pattern: upper body bent forward with straight knees
-    // More sensitive thresholds to catch the pattern:
-    // 1. Upper body angle > 30° (forward lean) AND knees straight (kneeAngle > 150°)
-    // 2. Hip moved down (more than 25 pixels) AND knees straight (kneeAngle > 150°)
-    // 3. Upper body angle > 25° AND knees very straight (kneeAngle > 160°)
-    const isUpperBodyBentForward = upperBodyAngleFromVertical > 30 && kneeAngle > 150
-    const isHipMovingDownWithoutKneeBend = hipShoulderHeightDiff > 25 && kneeAngle > 150
-    const isSlightLeanWithVeryStraightKnees = upperBodyAngleFromVertical > 25 && kneeAngle > 160
-    
-    if (isUpperBodyBentForward || isHipMovingDownWithoutKneeBend || isSlightLeanWithVeryStraightKnees) {
-      // Whole upper body is bending forward but knees aren't bending - good morning pattern
-      return {
-        feedback: 'Bend your knees and keep your chest up - sit back into the squat',
-        isValid: false,
-        kneeAngle,
-        hipAngle
-      }
-    }
-  }
+// Hinge-pattern variants, all built on the shared hip-hinge core
+const HINGE_DEFINITIONS = {
+  rdl: ROMANIAN_DEADLIFT_RULES,
+  deadlift: DEADLIFT_RULES,
+  swing: SWING_RULES,
+  row: BENT_OVER_ROW_RULES
+}
 
-  // Only give knee feedback if knees are BARELY bending (very shallow squat)
-  // Only flag if knee angle is extremely large (almost no bend at all)
-  if (kneeAngle > 175) {
-    // Only flag if knees are barely bending at all (extremely shallow)
-    feedback = 'Bend your knees more to go deeper into the squat'
-    isValid = false
-  } else if (kneeAngle < 70) {
-    feedback = 'Great depth! Keep your knees aligned with your toes'
-    isValid = true
-  } else if (kneeAngle < 100) {
-    feedback = 'Good form! You\'re getting deep into the squat'
-    isValid = true
-  } else if (kneeAngle < 140) {
-    feedback = 'You\'re doing great! Keep it up!'
-    isValid = true
-  }
-  // For 140-175, form is acceptable - no feedback (silence is fine)
-  // If kneeAngle > 175, they're not squatting - no feedback
-
-  // Knee alignment check (knee should be over ankle)
-  // Only check if no more important issue (back alignment) was found
-  // Prevent knee alignment from overriding back issues
-  if (!feedback || isValid) {
-    const kneeAnkleAlignment = Math.abs(knee.x - ankle.x)
-    const hipKneeDistance = Math.sqrt(
-      Math.pow(hip.x - knee.x, 2) + Math.pow(hip.y - knee.y, 2)
-    )
-    const alignmentRatio = kneeAnkleAlignment / (hipKneeDistance || 1)
-
-    if (alignmentRatio > 0.6) {
-      // Only flag if knees are severely misaligned (terrible angle, injury risk)
-      // But don't override positive feedback
-      if (!isValid || !feedback) {
-        feedback = 'Keep your knees aligned with your toes, don\'t let them cave in'
-        isValid = false
-      }
-    }
-  }
-  // Minor knee misalignment (ratio < 0.6) is acceptable - no feedback
+/**
+ * Analyze a hip-hinge movement based on keypoints
+ * Checks: hip hinge and knee bend for every variant, plus the variant's own checks
+ * (RDL back and shoulders, deadlift lockout, swing hip snap, row torso angle)
+ * @param {string} [variant='rdl'] - 'rdl', 'deadlift', 'swing' or 'row'
+ */
+export function analyzeHinge(keypoints, variant = 'rdl') {
+  return analyzeWithRules(HINGE_DEFINITIONS[variant] || ROMANIAN_DEADLIFT_RULES, keypoints)
+}
 
-  return { feedback, isValid, kneeAngle, hipAngle }
+/**
+ * Analyze Romanian Deadlift (RDL) form based on keypoints
+ * Checks: hip hinge, back alignment, knee position, depth
+ */
+export function analyzeRomanianDeadlift(keypoints) {
+  return analyzeHinge(keypoints, 'rdl')
 }
 
 /**
- * Analyze push-up form based on keypoints
- * Checks: elbow angle, body alignment, depth
+ * Analyze deadlift form based on keypoints
+ * Checks: hips too low at the start, knees locked at the top; lockout is checked per rep
  */
-export function analyzePushUp(keypoints) {
-  const leftShoulder = findKeypoint(keypoints, 'left_shoulder')
-  const rightShoulder = findKeypoint(keypoints, 'right_shoulder')
-  const leftElbow = findKeypoint(keypoints, 'left_elbow')
-  const rightElbow = findKeypoint(keypoints, 'right_elbow')
-  const leftWrist = findKeypoint(keypoints, 'left_wrist')
-  const rightWrist = findKeypoint(keypoints, 'right_wrist')
-  const leftHip = findKeypoint(keypoints, 'left_hip')
-  const rightHip = findKeypoint(keypoints, 'right_hip')
-  const nose = findKeypoint(keypoints, 'nose')
-  const leftAnkle = findKeypoint(keypoints, 'left_ankle')
-  const rightAnkle = findKeypoint(keypoints, 'right_ankle')
-
-  // Use left side by default, fallback to right
-  const shoulder = leftShoulder || rightShoulder
-  const elbow = leftElbow || rightElbow
-  const wrist = leftWrist || rightWrist
-  const hip = leftHip || rightHip
-  const ankle = leftAnkle || rightAnkle
-
-  // If key body parts are missing, return empty feedback
-  if (!shoulder || !elbow || !wrist) {
-    return {
-      feedback: '',
-      isValid: false
-    }
-  }
+export function analyzeDeadlift(keypoints) {
+  return analyzeHinge(keypoints, 'deadlift')
+}
 
-  // Calculate elbow angle (shoulder-elbow-wrist)
-  const elbowAngle = calculateAngle(shoulder, elbow, wrist)
-
-  // Determine feedback based on angles
-  let feedback = ''
-  let isValid = true
-
-  // Elbow angle analysis (for push-up depth)
-  // At top: elbow angle ~180° (straight arm)
-  // At bottom: elbow angle ~90° (90-degree bend)
-  if (elbowAngle > 170) {
-    feedback = 'Lower your body more to get full range of motion'
-    isValid = false
-  } else if (elbowAngle < 80) {
-    feedback = 'Excellent depth! You\'re going all the way down'
-    isValid = true
-  } else if (elbowAngle < 100) {
-    feedback = 'Good depth! Keep your body straight'
-    isValid = true
-  } else if (elbowAngle < 140) {
-    feedback = 'You\'re doing great! Try to go a bit deeper'
-    isValid = true
-  } else {
-    feedback = 'Lower your body more for a complete push-up'
-    isValid = false
-  }
+/**
+ * Analyze dumbbell swing form based on keypoints
+ * Checks: hinging rather than squatting; the hip snap is timed per rep
+ */
+export function analyzeSwing(keypoints) {
+  return analyzeHinge(keypoints, 'swing')
+}
 
-  // Body alignment check (shoulder-hip-ankle should form a straight line)
-  if (hip && ankle) {
-    // Calculate if body is sagging (hip too low) or piking (hip too high)
-    const shoulderHipDistance = Math.sqrt(
-      Math.pow(shoulder.x - hip.x, 2) + Math.pow(shoulder.y - hip.y, 2)
-    )
-    const hipAnkleDistance = Math.sqrt(
-      Math.pow(hip.x - ankle.x, 2) + Math.pow(hip.y - ankle.y, 2)
-    )
-    
-    // Check if body forms a relatively straight line
-    // Calculate angle between shoulder-hip-ankle
-    const bodyAngle = calculateAngle(shoulder, hip, ankle)
-    
-    // For a good push-up, body should be relatively straight (angle close to 180°)
-    if (bodyAngle < 160) {
-      feedback = 'Keep your body in a straight line from head to toe'
-      isValid = false
-    }
-  }
+/**
+ * Analyze row form based on keypoints
+ * Checks: torso holding its hinge (or a plank for renegade rows); pull range is checked per rep
+ */
+export function analyzeRow(keypoints, renegade = false) {
+  return renegade ? analyzeWithRules(RENEGADE_ROW_RULES, keypoints) : analyzeHinge(keypoints, 'row')
+}
 
-  // Check if shoulders are too far forward (common mistake)
-  if (wrist && shoulder) {
-    const shoulderWristDistance = Math.sqrt(
-      Math.pow(shoulder.x - wrist.x, 2) + Math.pow(shoulder.y - wrist.y, 2)
-    )
-    // If wrists are significantly behind shoulders, user might be leaning forward too much
-    if (wrist.x < shoulder.x - 50) {
-      feedback = 'Keep your hands directly under your shoulders'
-      isValid = false
-    }
-  }
+/**
+ * Analyze lunge / split squat form based on keypoints
+ * Checks: front knee angle, back knee descent, torso lean, front knee past the ankle
+ */
+export function analyzeLunge(keypoints) {
+  return analyzeWithRules(LUNGE_RULES, keypoints)
+}
 
-  // Check elbow flare (elbows should be at ~45 degrees, not flared out)
-  if (shoulder && elbow && wrist) {
-    // Calculate horizontal distance from shoulder to elbow
-    const horizontalDistance = Math.abs(elbow.x - shoulder.x)
-    const verticalDistance = Math.abs(elbow.y - shoulder.y)
-    const flareRatio = horizontalDistance / (verticalDistance || 1)
-    
-    // If elbows are flared out too much (high horizontal distance)
-    if (flareRatio > 1.5) {
-      feedback = 'Keep your elbows closer to your body, not flared out'
-      isValid = false
-    }
-  }
+/**
+ * Analyze plank form based on keypoints
+ * Checks: shoulder-hip-ankle line (hip sag / pike)
+ */
+export function analyzePlank(keypoints) {
+  return analyzeWithRules(PLANK_RULES, keypoints)
+}
 
-  return { feedback, isValid, elbowAngle }
+/**
+ * Analyze side plank form based on keypoints (lateral view)
+ * Checks: hip drop below the shoulder-ankle line
+ */
+export function analyzeSidePlank(keypoints) {
+  return analyzeWithRules(SIDE_PLANK_RULES, keypoints)
 }
 
 /**
- * Analyze wall sit form based on keypoints
- * Checks: knee angle (~90°), back upright (vertical), hips low enough, body static
+ * Analyze curl form based on keypoints (bicep, hammer, band curls)
+ * Checks: upper arm drift, torso swing; measures each elbow for per-arm reps
  */
-export function analyzeWallSit(keypoints) {
-  const leftHip = findKeypoint(keypoints, 'left_hip')
-  const rightHip = findKeypoint(keypoints, 'right_hip')
-  const leftKnee = findKeypoint(keypoints, 'left_knee')
-  const rightKnee = findKeypoint(keypoints, 'right_knee')
-  const leftAnkle = findKeypoint(keypoints, 'left_ankle')
-  const rightAnkle = findKeypoint(keypoints, 'right_ankle')
-  const leftShoulder = findKeypoint(keypoints, 'left_shoulder')
-  const rightShoulder = findKeypoint(keypoints, 'right_shoulder')
-
-  // Use left side by default, fallback to right
-  const hip = leftHip || rightHip
-  const knee = leftKnee || rightKnee
-  const ankle = leftAnkle || rightAnkle
-  const shoulder = leftShoulder || rightShoulder
-
-  // If key body parts are missing, return empty feedback
-  if (!hip || !knee || !ankle) {
-    return {
-      feedback: '',
-      isValid: false
-    }
-  }
+export function analyzeCurl(keypoints) {
+  return analyzeWithRules(ELBOW_FLEXION_RULES, keypoints)
+}
 
-  // Calculate knee angle (hip-knee-ankle)
-  // For wall sit, knees should be bent at ~90°
-  const kneeAngle = calculateAngle(hip, knee, ankle)
+/**
+ * Analyze tricep extension form based on keypoints
+ * Checks: upper arm drift, torso swing, and elbows pointed up for overhead variants
+ */
+export function analyzeTricepExtension(keypoints, overhead = false) {
+  return analyzeWithRules(overhead ? OVERHEAD_TRICEP_RULES : ELBOW_EXTENSION_RULES, keypoints)
+}
 
-  // Calculate back angle (shoulder-hip-knee) to check if back is upright/vertical
-  let backAngle = null
-  if (shoulder) {
-    backAngle = calculateAngle(shoulder, hip, knee)
-  }
+/**
+ * Analyze overhead press form based on keypoints (shoulder, band, Arnold press)
+ * Checks: lower back arching, wrist path; lockout is checked per rep
+ */
+export function analyzeOverheadPress(keypoints) {
+  return analyzeWithRules(OVERHEAD_PRESS_RULES, keypoints)
+}
 
-  // Determine feedback based on angles
-  let feedback = ''
-  let isValid = true
-
-  // Knee angle analysis (should be ~90° for proper wall sit)
-  // Acceptable range: 75° - 105°
-  if (kneeAngle < 75) {
-    feedback = 'Bend your knees less - aim for a 90-degree angle'
-    isValid = false
-  } else if (kneeAngle > 105) {
-    feedback = 'Bend your knees more - aim for a 90-degree angle'
-    isValid = false
-  } else if (kneeAngle >= 85 && kneeAngle <= 95) {
-    feedback = 'Perfect knee angle! Keep holding'
-    isValid = true
-  } else {
-    feedback = 'Good form! Keep your knees at 90 degrees'
-    isValid = true
-  }
+/**
+ * Analyze lateral / front raise form based on keypoints
+ * Checks: stopping at shoulder height, elbow softness, left/right symmetry
+ */
+export function analyzeRaise(keypoints) {
+  return analyzeWithRules(RAISE_RULES, keypoints)
+}
 
-  // Back alignment check - back should be upright/vertical
-  // Be very lenient - only flag if back is extremely off the wall
-  // For upright back, shoulder-hip-knee angle should be close to 180° (straight line)
-  if (backAngle !== null) {
-    if (backAngle < 120) {
-      // Only flag if back is extremely rounded (very obvious problem)
-      feedback = 'Keep your back flat against the wall and upright'
-      isValid = false
-    }
-    // Back misalignment (120-180) is acceptable - no feedback
-    // Don't override positive knee feedback for back issues
-  }
+/**
+ * Analyze glute bridge / hip thrust form based on keypoints
+ * Checks: lower back hyperextension, uneven hips; extension and top pause are checked per rep
+ */
+export function analyzeGluteBridge(keypoints) {
+  return analyzeWithRules(GLUTE_BRIDGE_RULES, keypoints)
+}
 
-  // Check if hips are low enough
-  // Hips should be at a similar height to knees (or slightly lower) for proper wall sit
-  if (hip && knee) {
-    const hipKneeHeightDiff = hip.y - knee.y
-    // If hips are too high (negative or small positive difference), user isn't low enough
-    // For a good wall sit, hips should be at or below knee level
-    if (hipKneeHeightDiff < -20) {
-      feedback = 'Lower your hips - they should be at knee level or below'
-      isValid = false
-    } else if (hipKneeHeightDiff > 50) {
-      // Hips too low might indicate sliding down
-      if (!feedback.includes('Perfect') && !feedback.includes('Good form')) {
-        feedback = 'Keep your hips at knee level'
-        isValid = false
-      }
-    }
-  }
+/**
+ * Analyze crunch form based on keypoints
+ * Checks: rising into a sit-up; shoulder lift is checked per rep
+ */
+export function analyzeCrunch(keypoints) {
+  return analyzeWithRules(CRUNCH_RULES, keypoints)
+}
 
-  return { feedback, isValid, kneeAngle, backAngle }
+/**
+ * Analyze bicycle crunch form based on keypoints
+ * Checks: shoulders staying off the floor
+ */
+export function analyzeBicycleCrunch(keypoints) {
+  return analyzeWithRules(BICYCLE_CRUNCH_RULES, keypoints)
 }
 
 /**
- * Analyze Romanian Deadlift (RDL) form based on keypoints
- * Checks: hip hinge, back alignment, knee position, depth
+ * Analyze leg raise form based on keypoints
+ * Checks: straight legs, lower back flat as the legs come down; height is checked per rep
  */
-export function analyzeRomanianDeadlift(keypoints) {
-  const leftHip = findKeypoint(keypoints, 'left_hip')
-  const rightHip = findKeypoint(keypoints, 'right_hip')
-  const leftKnee = findKeypoint(keypoints, 'left_knee')
-  const rightKnee = findKeypoint(keypoints, 'right_knee')
-  const leftAnkle = findKeypoint(keypoints, 'left_ankle')
-  const leftShoulder = findKeypoint(keypoints, 'left_shoulder')
-  const rightShoulder = findKeypoint(keypoints, 'right_shoulder')
-
-  // Use left side by default, fallback to right
-  const hip = leftHip || rightHip
-  const knee = leftKnee || rightKnee
-  const ankle = leftAnkle || findKeypoint(keypoints, 'right_ankle')
-  const shoulder = leftShoulder || rightShoulder
-
-  // If key body parts are missing, return empty feedback
-  if (!hip || !knee || !ankle) {
-    return {
-      feedback: '',
-      isValid: false
-    }
-  }
+export function analyzeLegRaise(keypoints) {
+  return analyzeWithRules(LEG_RAISE_RULES, keypoints)
+}
 
-  // Calculate knee angle (hip-knee-ankle) - should be slightly bent but not too much
-  const kneeAngle = calculateAngle(hip, knee, ankle)
+/**
+ * Analyze dead bug form based on keypoints
+ * Checks: opposite arm and leg extending together
+ */
+export function analyzeDeadBug(keypoints) {
+  return analyzeWithRules(DEAD_BUG_RULES, keypoints)
+}
 
-  // Calculate back angle (shoulder-hip-knee) - should stay relatively straight
-  let backAngle = null
-  if (shoulder) {
-    backAngle = calculateAngle(shoulder, hip, knee)
-  }
+/**
+ * Analyze Russian twist form based on keypoints
+ * Checks: shoulder rotation range, judged per rep from the shoulder line
+ */
+export function analyzeRussianTwist(keypoints) {
+  return analyzeWithRules(RUSSIAN_TWIST_RULES, keypoints)
+}
 
-  // Calculate hip hinge angle (shoulder-hip-ankle) - this shows how much the hip is hinged
-  let hipHingeAngle = null
-  if (shoulder && ankle) {
-    hipHingeAngle = calculateAngle(shoulder, hip, ankle)
-  }
+/**
+ * Analyze burpee form based on keypoints
+ * Checks: hips sagging in the plank; the phase sequence is checked per rep
+ */
+export function analyzeBurpee(keypoints) {
+  return analyzeWithRules(BURPEE_RULES, keypoints)
+}
 
-  // Determine feedback based on angles
-  let feedback = ''
-  let isValid = true
-
-  // Knee angle check - RDL should have slight knee bend (around 150-170°), not deep squat
-  if (kneeAngle < 140) {
-    feedback = 'Keep your knees slightly bent, not too deep'
-    isValid = false
-  } else if (kneeAngle > 175) {
-    feedback = 'Bend your knees slightly for proper RDL form'
-    isValid = false
-  } else if (kneeAngle >= 150 && kneeAngle <= 170) {
-    feedback = 'Good knee position! Maintain that slight bend'
-    isValid = true
-  }
+/**
+ * Analyze mountain climber form based on keypoints
+ * Checks: hips staying level with the shoulders (not piked or sagging)
+ */
+export function analyzeMountainClimber(keypoints) {
+  return analyzeWithRules(MOUNTAIN_CLIMBER_RULES, keypoints)
+}
 
-  // Back alignment check - back should stay straight (angle close to 180°)
-  if (backAngle !== null) {
-    if (backAngle < 150) {
-      feedback = 'Keep your back straight - don\'t round your spine'
-      isValid = false
-    } else if (backAngle >= 150 && backAngle < 165) {
-      if (!feedback.includes('Good') && !feedback.includes('Excellent')) {
-        feedback = 'Keep your back straighter - maintain neutral spine'
-        isValid = false
-      }
-    } else if (backAngle >= 165) {
-      if (!feedback || feedback.includes('knee')) {
-        feedback = 'Excellent back position! Keep it straight'
-        isValid = true
-      }
-    }
-  }
+/**
+ * Analyze step-up form based on keypoints
+ * Checks: leading leg detection, hips extended on top, chest up; a straight leg on top is checked per rep
+ */
+export function analyzeStepUp(keypoints) {
+  return analyzeWithRules(STEP_UP_RULES, keypoints)
+}
 
-  // Hip hinge check - RDL is primarily a hip hinge movement
-  // Hip hinge angle should decrease as you lower (hip moves back)
-  if (hipHingeAngle !== null) {
-    // For a good RDL, the hip should be hinged back (angle < 180°)
-    // Too upright (angle > 175°) means not hinging enough
-    // Too much hinge (angle < 120°) might indicate going too low or losing form
-    if (hipHingeAngle > 175) {
-      feedback = 'Hinge at your hips more - push your hips back'
-      isValid = false
-    } else if (hipHingeAngle < 120) {
-      feedback = 'You\'re going very deep - make sure you can maintain back position'
-      isValid = false
-    } else if (hipHingeAngle >= 140 && hipHingeAngle <= 170) {
-      if (!feedback.includes('Excellent') && !feedback.includes('Good knee')) {
-        feedback = 'Good hip hinge! Keep pushing your hips back'
-        isValid = true
-      }
-    }
-  }
+/**
+ * Analyze chair squat form based on keypoints
+ * Checks: chest up; descent speed, touching the seat and not bouncing are checked per rep
+ */
+export function analyzeChairSquat(keypoints) {
+  return analyzeWithRules(CHAIR_SQUAT_RULES, keypoints)
+}
 
-  // Check shoulder position relative to hip (shoulders should stay over or slightly behind the bar)
-  if (shoulder && hip) {
-    const shoulderHipHorizontal = Math.abs(shoulder.x - hip.x)
-    const shoulderHipVertical = Math.abs(shoulder.y - hip.y)
-    
-    // For RDL, shoulders should be slightly behind hips (negative x difference or small positive)
-    // If shoulders are too far forward, user might be rounding or not hinging properly
-    if (shoulder.x > hip.x + 30) {
-      feedback = 'Keep your shoulders over or slightly behind the bar'
-      isValid = false
-    }
-  }
+/**
+ * Analyze calf raise form based on keypoints (needs BlazePose heel and toe points)
+ * Checks: straight legs; heel height is checked per rep
+ */
+export function analyzeCalfRaise(keypoints) {
+  return analyzeWithRules(CALF_RAISE_RULES, keypoints)
+}
 
-  return { feedback, isValid, kneeAngle, backAngle, hipHingeAngle }
+/**
+ * Analyze dip form based on keypoints (tricep, chair and bench dips)
+ * Checks: shoulders dropping below the elbows; elbow range is checked per rep
+ */
+export function analyzeDip(keypoints) {
+  return analyzeWithRules(DIP_RULES, keypoints)
 }
@@ -0,0 +1,229 @@
+import {
+  SQUAT_RULES,
+  WALL_SIT_RULES,
+  LUNGE_RULES,
+  STEP_UP_RULES,
+  CHAIR_SQUAT_RULES,
+  SINGLE_LEG_SQUAT_RULES,
+  CALF_RAISE_RULES,
+  KNEE_FLEXION_RULES
+} from './rules/lowerBody'
+import {
+  ROMANIAN_DEADLIFT_RULES,
+  DEADLIFT_RULES,
+  SWING_RULES,
+  BENT_OVER_ROW_RULES,
+  RENEGADE_ROW_RULES,
+  GLUTE_BRIDGE_RULES
+} from './rules/hinge'
+import {
+  PUSH_UP_RULES,
+  DIP_RULES,
+  ELBOW_FLEXION_RULES,
+  ELBOW_EXTENSION_RULES,
+  OVERHEAD_TRICEP_RULES,
+  OVERHEAD_PRESS_RULES,
+  RAISE_RULES,
+  PUSH_UP_VARIATION_RULES,
+  PRESS_RULES,
+  ROW_RULES
+} from './rules/upperBody'
+import {
+  JUMPING_JACK_RULES,
+  PLANK_JACK_RULES,
+  HIGH_KNEES_RULES,
+  BUTT_KICK_RULES,
+  STEP_UP_CARDIO_RULES,
+  BURPEE_RULES,
+  DUMBBELL_BURPEE_RULES,
+  MOUNTAIN_CLIMBER_RULES
+} from './rules/cardio'
+import {
+  PLANK_RULES,
+  SIDE_PLANK_RULES,
+  CRUNCH_RULES,
+  BICYCLE_CRUNCH_RULES,
+  LEG_RAISE_RULES,
+  DEAD_BUG_RULES,
+  RUSSIAN_TWIST_RULES,
+  HOLLOW_BODY_RULES,
+  V_SIT_RULES
+} from './rules/core'
+
+/**
+ * Exercise form rules as data
+ * Each definition lists the points it needs, the metrics it measures, the rules
+ * that flag a form problem and the positive cues used when nothing is wrong.
+ * The definitions live per movement family in rules/ (lower body, hinge, upper body,
+ * cardio, core); this module indexes them by exercise id.
+ * Tuning a threshold touches the family's file, adding an exercise also its entry here.
+ *
+ * Rule shape: { id, key, severity, priority, joint, measure, target, when }
+ *   key     - stable feedback key, spoken through the variant pools in feedbackVariants.js
+ *   measure - metric reported as the issue's measured value
+ *   target  - { min, max } range that metric should stay within
+ * Cue shape:  { key, when } - the first matching cue is spoken
+ * views: camera views the exercise can be judged from (VIEW values); from any other view the
+ *   user is asked to turn. Rules and cues may narrow them with their own `views`.
+ *
+ * rep: { metric, top, bottom, firstPhase, sides } - primary signal for the rep counter (repCounter.js):
+ *   the metric's value at the start position and at the turnaround point;
+ *   firstPhase is 'concentric' when leaving the start position is the lift (curls, presses);
+ *   sides ({ left, right } metric names) counts each limb with its own counter;
+ *   partialKey is spoken when a rep turns around before reaching `bottom` (e.g. no lockout);
+ *   turnPause ({ min, key }) asks for a pause of at least `min` ms at the turnaround point;
+ *   drive ({ max, key }) asks for a concentric of at most `max` ms (explosive lifts);
+ *   control ({ min, key }) asks for an eccentric of at least `min` ms (controlled descent).
+ *   Definitions with no form rules yet still declare it so every rep is counted.
+ * hold: { metric, min, max } - static holds use the hold timer (holdTimer.js) instead;
+ *   the timer runs while the metric stays inside the band.
+ * cadence: { window, dropRatio } - cardio moves also track reps per minute (cadence.js).
+ * sequence: { rest, phases, settle } - compound movements (burpees) are counted as an ordered
+ *   list of postures instead of a single signal (sequenceCounter.js); phases are
+ *   [{ id, when, optional, skipKey }] and skipKey is spoken when a required phase is missed.
+ */
+
+export * from './rules/lowerBody'
+export * from './rules/hinge'
+export * from './rules/upperBody'
+export * from './rules/cardio'
+export * from './rules/core'
+
+/**
+ * Exercise id -> rule definition
+ */
+export const EXERCISE_RULES = {
+  'squat': SQUAT_RULES,
+  'goblet-squat': SQUAT_RULES,
+  'dumbbell-squat': SQUAT_RULES,
+  'band-squat': SQUAT_RULES,
+  'jump-squat': SQUAT_RULES,
+  'push-up': PUSH_UP_RULES,
+  'wall-sit': WALL_SIT_RULES,
+  'barbell-rdl': ROMANIAN_DEADLIFT_RULES,
+
+  'lunge': LUNGE_RULES,
+  'dumbbell-lunge': LUNGE_RULES,
+  'band-lunge': LUNGE_RULES,
+  'elevated-lunge': LUNGE_RULES,
+  'chair-squat': CHAIR_SQUAT_RULES,
+  'single-leg-squat': SINGLE_LEG_SQUAT_RULES,
+  'calf-raise': CALF_RAISE_RULES,
+  'weighted-calf-raise': CALF_RAISE_RULES,
+  'band-leg-press': KNEE_FLEXION_RULES,
+  'step-up': STEP_UP_RULES,
+  'step-ups-cardio': STEP_UP_CARDIO_RULES,
+  'step-up-full': STEP_UP_RULES,
+  'deadlift': DEADLIFT_RULES,
+  'dumbbell-swing': SWING_RULES,
+  'knee-pushup': PUSH_UP_VARIATION_RULES,
+  'wall-pushup': PUSH_UP_VARIATION_RULES,
+  'bicep-curl': ELBOW_FLEXION_RULES,
+  'hammer-curl': ELBOW_FLEXION_RULES,
+  'band-bicep-curl': ELBOW_FLEXION_RULES,
+  'tricep-extension': ELBOW_EXTENSION_RULES,
+  'overhead-tricep': OVERHEAD_TRICEP_RULES,
+  'band-tricep': ELBOW_EXTENSION_RULES,
+  'shoulder-press': OVERHEAD_PRESS_RULES,
+  'band-shoulder-press': OVERHEAD_PRESS_RULES,
+  'arnold-press': OVERHEAD_PRESS_RULES,
+  'chest-press': PRESS_RULES,
+  'band-chest-press': PRESS_RULES,
+  'lateral-raise': RAISE_RULES,
+  'front-raise': RAISE_RULES,
+  'band-lateral-raise': RAISE_RULES,
+  'rows': BENT_OVER_ROW_RULES,
+  'bent-over-row': BENT_OVER_ROW_RULES,
+  'band-row': ROW_RULES,
+  'renegade-row': RENEGADE_ROW_RULES,
+  'tricep-dip': DIP_RULES,
+  'chair-dips': DIP_RULES,
+  'bench-dips-full': DIP_RULES,
+  'plank': PLANK_RULES,
+  'weighted-plank': PLANK_RULES,
+  'plank-jacks': PLANK_JACK_RULES,
+  'side-plank': SIDE_PLANK_RULES,
+  'hollow-body': HOLLOW_BODY_RULES,
+  'v-sit': V_SIT_RULES,
+  'glute-bridge': GLUTE_BRIDGE_RULES,
+  'jumping-jacks': JUMPING_JACK_RULES,
+  'jumping-jacks-full': JUMPING_JACK_RULES,
+  'star-jumps': JUMPING_JACK_RULES,
+  'band-jumping-jacks': JUMPING_JACK_RULES,
+  'crunch': CRUNCH_RULES,
+  'weighted-crunch': CRUNCH_RULES,
+  'chair-crunch': CRUNCH_RULES,
+  'band-crunch': CRUNCH_RULES,
+  'bicycle-crunch': BICYCLE_CRUNCH_RULES,
+  'leg-raise': LEG_RAISE_RULES,
+  'bench-leg-raise': LEG_RAISE_RULES,
+  'dead-bug': DEAD_BUG_RULES,
+  'russian-twist': RUSSIAN_TWIST_RULES,
+  'weighted-russian': RUSSIAN_TWIST_RULES,
+  'burpee': BURPEE_RULES,
+  'burpee-full': BURPEE_RULES,
+  'dumbbell-burpee': DUMBBELL_BURPEE_RULES,
+  // Thrusters are counted and checked on their squat; the press isn't analyzed yet
+  'thruster': SQUAT_RULES,
+  'dumbbell-thruster': SQUAT_RULES,
+  'mountain-climber': MOUNTAIN_CLIMBER_RULES,
+  'mountain-climber-full': MOUNTAIN_CLIMBER_RULES,
+  'high-knees': HIGH_KNEES_RULES,
+  'butt-kicks': BUTT_KICK_RULES
+}
+
+/**
+ * Get the rep-counter signal for an exercise
+ * @returns {Object|null} { metric, top, bottom } or null if the exercise isn't rep-based
+ */
+export function getRepSignal(exercise) {
+  return EXERCISE_RULES[exercise]?.rep || null
+}
+
+/**
+ * Get the hold band for a static exercise
+ * @returns {Object|null} { metric, min, max } or null if the exercise isn't a hold
+ */
+export function getHoldBand(exercise) {
+  return EXERCISE_RULES[exercise]?.hold || null
+}
+
+/**
+ * Whether an exercise is a static hold (timed instead of counted)
+ */
+export function isHoldExercise(exercise) {
+  return !!getHoldBand(exercise)
+}
+
+/**
+ * Get the phase sequence for a compound movement
+ * @returns {Object|null} { rest, phases, settle } or null if the exercise uses a single rep signal
+ */
+export function getSequenceConfig(exercise) {
+  return EXERCISE_RULES[exercise]?.sequence || null
+}
+
+/**
+ * Get the cadence settings for a cardio exercise
+ * @returns {Object|null} { window, dropRatio } or null if cadence isn't tracked
+ */
+export function getCadenceConfig(exercise) {
+  return EXERCISE_RULES[exercise]?.cadence || null
+}
+
+/**
+ * Whether every point the exercise's analyzer needs is visible (left or right side)
+ * Form is only analyzed on frames where it is
+ */
+export function hasRequiredKeypoints(exercise, keypoints) {
+  if (!keypoints || keypoints.length === 0) return false
+  const requiredParts = EXERCISE_RULES[exercise]?.required || ['shoulder', 'elbow', 'wrist']
+  const foundParts = new Set()
+  keypoints.forEach(kp => {
+    if (!kp || kp.score <= 0.3) return
+    const kpName = (kp.name || '').toLowerCase()
+    requiredParts.forEach(part => { if (kpName.includes(part)) foundParts.add(part) })
+  })
+  return foundParts.size >= requiredParts.length
+}
+
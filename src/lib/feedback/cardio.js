@@ -0,0 +1,97 @@
+// Spoken variants for cardio moves (cadence, jacks, high knees), burpees and mountain climbers
+
+export const CARDIO_VARIANTS = {
+  // Cardio feedback variants
+  'cadence-drop': [
+    'Pick up the pace!',
+    'You\'re slowing down - keep the rhythm going',
+    'Stay quick, find your rhythm again',
+    'Speed it back up, you\'ve got this'
+  ],
+  'cardio-good-rhythm': [
+    'Great rhythm, keep it going!',
+    'Nice pace!',
+    'Strong and steady - keep moving',
+    'Awesome energy, keep it up!'
+  ],
+  'cardio-stay-tall': [
+    'Stay tall - don\'t lean back',
+    'Keep your chest up and your body upright',
+    'Stand tall through the movement',
+    'Straighten up, stay light on your feet'
+  ],
+  'jacks-arms-overhead': [
+    'Reach your arms all the way overhead',
+    'Get those hands up high',
+    'Full range - arms all the way up',
+    'Clap those hands overhead'
+  ],
+  'jacks-feet-wider': [
+    'Jump your feet out wider',
+    'Wider with the feet',
+    'Get your feet out past your shoulders',
+    'Bigger jumps - feet wide'
+  ],
+  'high-knees-higher': [
+    'Drive your knees up to hip height',
+    'Higher knees!',
+    'Get those knees up',
+    'Knees up to your waist'
+  ],
+  'butt-kicks-higher': [
+    'Kick your heels all the way up',
+    'Heels to your glutes',
+    'Higher kicks!',
+    'Bring those heels up more'
+  ],
+
+  // Burpee and mountain climber feedback variants
+  'burpee-skipped-squat': [
+    'Squat down and put your hands on the floor first',
+    'Start each burpee with a squat',
+    'Drop into a squat before kicking back',
+    'Hands down in a squat, then kick back'
+  ],
+  'burpee-skipped-plank': [
+    'Kick your feet all the way back to a plank',
+    'You skipped the plank - legs straight behind you',
+    'Get into a full plank on every rep',
+    'Jump back to a straight plank'
+  ],
+  'burpee-skipped-jump-in': [
+    'Jump your feet back in before standing up',
+    'Bring your feet to your hands, then stand',
+    'Feet in first, then up',
+    'Don\'t walk it up - jump your feet in'
+  ],
+  'burpee-skipped-jump': [
+    'Finish with a jump and reach overhead',
+    'You skipped the jump - explode up',
+    'Jump and reach at the top of every rep',
+    'Don\'t forget the jump!'
+  ],
+  'burpee-hips-sagging': [
+    'Keep your hips up in the plank',
+    'Don\'t let your hips sag when you kick back',
+    'Brace your core in the plank',
+    'Straight line in the plank'
+  ],
+  'climber-hips-down': [
+    'Bring your hips down in line with your shoulders',
+    'Hips are too high - flatten out',
+    'Stay in a plank, don\'t pike up',
+    'Lower your hips'
+  ],
+  'climber-hips-up': [
+    'Keep your hips up',
+    'Your hips are sagging - brace your core',
+    'Hold a strong plank as you drive',
+    'Lift your hips in line with your shoulders'
+  ],
+  'climber-knees-in': [
+    'Drive your knees all the way to your chest',
+    'Bring your knees in further',
+    'Bigger knee drives',
+    'Knees toward your chest'
+  ]
+}
@@ -0,0 +1,165 @@
+// Spoken variants for planks, side planks and the floor core exercises
+
+export const CORE_VARIANTS = {
+  // Plank feedback variants
+  'plank-hips-sagging': [
+    'Hips up - don\'t let your lower back sag',
+    'Your hips are dropping, squeeze your glutes and lift them',
+    'Lift your hips into a straight line from shoulders to heels',
+    'Brace your core and bring your hips up'
+  ],
+  'plank-hips-too-high': [
+    'Lower your hips - make a straight line from shoulders to heels',
+    'Your hips are piked up, bring them down',
+    'Drop your hips into line with your shoulders',
+    'Flatten out - hips down a little'
+  ],
+  'plank-hips-up-slightly': [
+    'Lift your hips just a little',
+    'Hips up slightly, squeeze your glutes',
+    'Tiny bit higher with the hips',
+    'Brace a little harder and lift the hips'
+  ],
+  'plank-hips-down-slightly': [
+    'Lower your hips just a touch',
+    'Hips down slightly',
+    'Bring your hips down a little into line',
+    'Flatten your back a bit more'
+  ],
+  'plank-good-line': [
+    'Great plank! Perfect straight line',
+    'Solid body line, keep holding',
+    'Nice and flat - hold it there',
+    'Excellent plank position!'
+  ],
+
+  // Side plank feedback variants
+  'side-plank-hips-dropping': [
+    'Hips up - don\'t let them drop toward the floor',
+    'Your hips are sinking, push them up',
+    'Lift your hips to make a straight line',
+    'Drive your hips up away from the floor'
+  ],
+  'side-plank-hips-too-high': [
+    'Lower your hips a little into a straight line',
+    'Hips are too high - bring them into line',
+    'Straighten out, hips down slightly',
+    'Line up your shoulders, hips and feet'
+  ],
+  'side-plank-lift-hips': [
+    'Lift your hips a little higher',
+    'Hips up slightly',
+    'Push the floor away and lift the hips a touch',
+    'A bit higher with the hips'
+  ],
+  'side-plank-good-line': [
+    'Great side plank! Nice straight line',
+    'Solid position, keep holding',
+    'Hips are right where they should be',
+    'Excellent side plank!'
+  ],
+
+  // Floor core feedback variants
+  'crunch-not-sit-up': [
+    'That\'s a sit-up - just lift your shoulder blades',
+    'Don\'t come all the way up, keep it a crunch',
+    'Smaller movement - curl your shoulders off the floor',
+    'Stop when your shoulder blades clear the floor'
+  ],
+  'crunch-lift-higher': [
+    'Curl up a little higher',
+    'Lift your shoulder blades off the floor',
+    'Squeeze your abs to come up more',
+    'Get a bit more lift on each crunch'
+  ],
+  'crunch-good-squeeze': [
+    'Good squeeze at the top!',
+    'Nice crunch, feel those abs',
+    'Great contraction',
+    'That\'s it - controlled and tight'
+  ],
+  'bicycle-shoulders-up': [
+    'Keep your shoulders off the floor',
+    'Stay curled up as you twist',
+    'Shoulder blades up the whole time',
+    'Don\'t rest your head - keep the crunch'
+  ],
+  'leg-raise-straight-legs': [
+    'Keep your legs straight',
+    'Straighten your knees as you lift',
+    'Long legs - don\'t bend your knees',
+    'Lock out your knees for the full lever'
+  ],
+  'leg-raise-higher': [
+    'Raise your legs all the way up',
+    'Lift until your legs are vertical',
+    'Bring your feet higher',
+    'Finish the rep - legs up to the ceiling'
+  ],
+  'leg-raise-back-flat': [
+    'Press your lower back into the floor',
+    'Keep your low back flat as your legs lower',
+    'Don\'t let your back arch - brace your core',
+    'Flatten your back as you lower'
+  ],
+  'leg-raise-good-height': [
+    'Great height!',
+    'Nice, legs all the way up',
+    'Perfect range on that raise',
+    'Good control at the top'
+  ],
+  'dead-bug-opposite-limbs': [
+    'Opposite arm and leg - not the same side',
+    'Switch it up: reach with the opposite arm',
+    'Left arm goes with right leg',
+    'Pair each arm with the opposite leg'
+  ],
+  'dead-bug-move-together': [
+    'Move your arm and leg together',
+    'Extend the opposite leg as your arm reaches',
+    'Coordinate - arm and leg at the same time',
+    'Reach and extend together'
+  ],
+  'dead-bug-good-reach': [
+    'Great reach! Keep your back flat',
+    'Nice long extension',
+    'Perfect coordination',
+    'That\'s it - slow and controlled'
+  ],
+  'russian-twist-rotate-more': [
+    'Rotate further to each side',
+    'Turn your shoulders more',
+    'Twist through your torso, not just your arms',
+    'Bring your shoulders round further'
+  ],
+  'russian-twist-good-rotation': [
+    'Great rotation!',
+    'Nice full twist',
+    'Good, turning from your core',
+    'That\'s the range - keep it going'
+  ],
+  'hollow-lower-legs': [
+    'Lower your legs toward the floor',
+    'Stretch out longer - legs down a little',
+    'Open up the hollow shape',
+    'Reach your feet away from you'
+  ],
+  'hollow-lift-shoulders': [
+    'Lift your shoulders and legs off the floor',
+    'Curl into the hollow shape',
+    'Don\'t lie flat - lift up',
+    'Shoulders and feet up'
+  ],
+  'v-sit-open-up': [
+    'Open up your hips a little',
+    'Lean back slightly',
+    'Don\'t fold too tight - make a V',
+    'Extend your legs a little further'
+  ],
+  'v-sit-lift-legs': [
+    'Lift your legs higher',
+    'Bring your chest and legs closer',
+    'Sit up into the V',
+    'Legs up - tighten your core'
+  ]
+}
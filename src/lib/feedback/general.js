@@ -0,0 +1,81 @@
+// Spoken variants any exercise can use: left/right asymmetry, camera view and tempo
+
+export const GENERAL_VARIANTS = {
+  // Left/right asymmetry feedback variants (asymmetry.js)
+  'asymmetry-left-knee': [
+    'Your left knee is bending more than your right - even out your weight',
+    'You\'re shifting onto your left leg',
+    'Push evenly through both feet - your left side is doing more',
+    'Balance it out - your right leg needs to work as much as your left'
+  ],
+  'asymmetry-right-knee': [
+    'Your right knee is bending more than your left - even out your weight',
+    'You\'re shifting onto your right leg',
+    'Push evenly through both feet - your right side is doing more',
+    'Balance it out - your left leg needs to work as much as your right'
+  ],
+  'asymmetry-left-hip': [
+    'Your hips are tilting toward your left side',
+    'You\'re sinking into your left hip - keep them level',
+    'Square your hips, your left side is dropping',
+    'Even out your hips - less on the left'
+  ],
+  'asymmetry-right-hip': [
+    'Your hips are tilting toward your right side',
+    'You\'re sinking into your right hip - keep them level',
+    'Square your hips, your right side is dropping',
+    'Even out your hips - less on the right'
+  ],
+  'asymmetry-left-elbow': [
+    'Your left arm is lagging behind your right',
+    'Your left elbow is bending more - press evenly',
+    'Move both arms together, your left is behind',
+    'Even out your arms - the left side is working harder'
+  ],
+  'asymmetry-right-elbow': [
+    'Your right arm is lagging behind your left',
+    'Your right elbow is bending more - press evenly',
+    'Move both arms together, your right is behind',
+    'Even out your arms - the right side is working harder'
+  ],
+
+  // Camera view feedback variants
+  'view-turn-side': [
+    'Turn sideways to the camera so I can see your form',
+    'Please turn to the side',
+    'Give me a side view - turn so your shoulder faces the camera',
+    'Turn side-on to the camera'
+  ],
+  'view-face-camera': [
+    'Face the camera so I can see both sides',
+    'Please turn to face the camera',
+    'Square up to the camera',
+    'Turn toward the camera'
+  ],
+
+  // Tempo feedback variants
+  'tempo-eccentric-rushed': [
+    'Slow down on the way down',
+    'Control the lowering - take your time',
+    'Don\'t drop into it - lower slowly',
+    'Slower on the way down'
+  ],
+  'tempo-bottom-pause-skipped': [
+    'Pause at the bottom before you come back up',
+    'Hold the bottom for a moment',
+    'Don\'t bounce - pause at the bottom',
+    'Take a short pause at the bottom'
+  ],
+  'tempo-concentric-rushed': [
+    'Slow down on the way up',
+    'Control the lift - don\'t rush it',
+    'Steady on the way up',
+    'Take your time coming up'
+  ],
+  'tempo-top-pause-skipped': [
+    'Pause at the top before the next rep',
+    'Hold the top for a moment',
+    'Take a breath at the top',
+    'Don\'t rush into the next rep - pause at the top'
+  ]
+}
@@ -0,0 +1,177 @@
+// Spoken variants for the hip hinge family (RDL, deadlift, swing, rows) and glute bridges
+
+export const HINGE_VARIANTS = {
+  // Glute bridge feedback variants
+  'bridge-ribs-down': [
+    'Don\'t overarch - keep your ribs down and squeeze your glutes',
+    'Your lower back is arching, tuck your pelvis slightly',
+    'Stop at a straight line from shoulders to knees',
+    'Ribs down - lift with your glutes, not your back'
+  ],
+  'bridge-hips-level': [
+    'Keep your hips level',
+    'One hip is dropping - lift both sides evenly',
+    'Push evenly through both heels',
+    'Square your hips up'
+  ],
+  'bridge-hips-higher': [
+    'Drive your hips all the way up',
+    'Lift higher - straight line from shoulders to knees',
+    'Finish the rep, squeeze your glutes at the top',
+    'Get those hips higher'
+  ],
+  'bridge-pause-top': [
+    'Pause and squeeze at the top',
+    'Hold it for a second at the top',
+    'Squeeze your glutes before lowering',
+    'Don\'t rush - pause at the top'
+  ],
+  'bridge-full-extension': [
+    'Great extension! Squeeze those glutes',
+    'Perfect bridge - hold that squeeze',
+    'Nice, hips fully extended',
+    'Excellent lockout at the top'
+  ],
+  'bridge-encouragement': [
+    'Good work, keep driving through your heels',
+    'Nice and controlled',
+    'Looking good, keep it up!',
+    'Strong bridges, keep going'
+  ],
+
+  // Hinge family feedback variants
+  'deadlift-hips-higher': [
+    'Hips higher - this is a hinge, not a squat',
+    'Start with your hips above your knees',
+    'Push your hips back and up before you pull',
+    'Don\'t sit down into it - hinge'
+  ],
+  'deadlift-lock-knees': [
+    'Lock out your knees at the top',
+    'Stand all the way up - straighten your legs',
+    'Finish with straight knees',
+    'Squeeze your quads at the top'
+  ],
+  'deadlift-finish-lockout': [
+    'Finish the rep - stand tall',
+    'Drive your hips through to lock out',
+    'All the way up, squeeze your glutes',
+    'Complete the lockout at the top'
+  ],
+  'deadlift-good-lockout': [
+    'Great lockout!',
+    'Strong finish - standing tall',
+    'Perfect, hips fully through',
+    'Nice lockout, reset for the next rep'
+  ],
+  'swing-hinge-not-squat': [
+    'Hinge, don\'t squat - push your hips back',
+    'Less knee bend, more hips back',
+    'Sit back less, hinge more',
+    'Keep your shins vertical and hinge'
+  ],
+  'swing-hips-back': [
+    'Hike the weight further back',
+    'Push your hips back more on each swing',
+    'Load your hips deeper',
+    'Bigger hinge on the backswing'
+  ],
+  'swing-snap-hips': [
+    'Snap your hips through!',
+    'Be explosive - drive your hips forward',
+    'Faster hip extension',
+    'Power comes from the hips - snap them'
+  ],
+  'swing-good-snap': [
+    'Great hip snap!',
+    'Explosive - nice swing',
+    'Strong hips, keep it up',
+    'That\'s the power!'
+  ],
+  'row-stay-bent': [
+    'Stay bent over - keep your torso still',
+    'Don\'t stand up as you pull',
+    'Hold your hinge through the whole set',
+    'Keep your chest down'
+  ],
+  'row-knees-straighter': [
+    'Less knee bend - hinge from the hips',
+    'Straighten your legs a little',
+    'Soft knees, hips back',
+    'Don\'t squat the row'
+  ],
+  'row-pull-higher': [
+    'Pull your elbows further back',
+    'Row all the way to your ribs',
+    'Squeeze your shoulder blades together',
+    'Full range - bring the weight higher'
+  ],
+  'row-good-squeeze': [
+    'Great squeeze!',
+    'Nice pull, shoulder blades together',
+    'Strong row',
+    'Good range, keep it controlled'
+  ],
+
+  // Romanian deadlift feedback variants
+  'rdl-back-rounding': [
+    'Keep your back straight - don\'t round your spine',
+    'Flatten your back - no rounding',
+    'Don\'t let your spine curl - keep it straight',
+    'Brace and keep that back flat'
+  ],
+  'rdl-back-neutral': [
+    'Keep your back straighter - maintain neutral spine',
+    'Stay neutral through your spine',
+    'Straighten your back a little more',
+    'Keep a flat, neutral back'
+  ],
+  'rdl-shoulders-forward': [
+    'Keep your shoulders over or slightly behind the bar',
+    'Pull your shoulders back over the bar',
+    'Don\'t let your shoulders drift past the bar',
+    'Keep the weight close and shoulders over it'
+  ],
+  'rdl-hinge-more': [
+    'Hinge at your hips more - push your hips back',
+    'Push your hips back further',
+    'Send those hips back to hinge',
+    'More hip hinge - reach your hips behind you'
+  ],
+  'rdl-too-deep': [
+    'You\'re going very deep - make sure you can maintain back position',
+    'Only go as low as your back stays flat',
+    'That\'s very deep - keep your back in position',
+    'Shorten the range if your back starts to round'
+  ],
+  'rdl-knee-too-bent': [
+    'Keep your knees slightly bent, not too deep',
+    'Less knee bend - this is a hinge, not a squat',
+    'Straighten your legs a bit more',
+    'Soft knees only - don\'t squat it down'
+  ],
+  'rdl-knee-too-straight': [
+    'Bend your knees slightly for proper RDL form',
+    'Unlock your knees a little',
+    'Add a slight bend in your knees',
+    'Keep a soft bend in the knees'
+  ],
+  'rdl-good-back': [
+    'Excellent back position! Keep it straight',
+    'Great flat back! Keep it there',
+    'Nice neutral spine!',
+    'Perfect back position!'
+  ],
+  'rdl-good-hinge': [
+    'Good hip hinge! Keep pushing your hips back',
+    'Nice hinge! Keep it going',
+    'Great hip drive! Hips back',
+    'Good work hinging at the hips'
+  ],
+  'rdl-good-knee': [
+    'Good knee position! Maintain that slight bend',
+    'Nice soft knees! Hold that bend',
+    'Good knee bend! Keep it there',
+    'Perfect knee angle for the hinge'
+  ]
+}
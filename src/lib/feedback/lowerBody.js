@@ -0,0 +1,235 @@
+// Spoken variants for squats, lunges, wall sits, step-ups, chair squats and calf raises
+
+export const LOWER_BODY_VARIANTS = {
+  // Squat feedback variants
+  'squat-knee-too-straight': [
+    'Bend your knees more to go deeper into the squat',
+    'Try bending your knees more for better depth',
+    'Get lower by bending your knees more',
+    'You need more knee bend to go deeper'
+  ],
+  'squat-great-depth': [
+    'Great depth! Keep your knees aligned with your toes',
+    'Excellent depth! Maintain that knee alignment',
+    'Perfect depth! Keep those knees tracking over your toes',
+    'Awesome! You\'re hitting great depth'
+  ],
+  'squat-good-depth': [
+    'Good form! You\'re getting deep into the squat',
+    'Nice depth! Keep it up',
+    'Looking good! You\'re getting lower',
+    'Good work! Keep that depth'
+  ],
+  'squat-encouragement': [
+    'You\'re doing great! Keep it up!',
+    'Keep going! You\'ve got this!',
+    'Nice work! Stay strong!',
+    'Looking good! Keep pushing!'
+  ],
+  'squat-back-alignment': [
+    'Keep your back straight and chest up',
+    'Maintain a straight back and lift your chest',
+    'Straighten your back and keep your chest lifted',
+    'Focus on keeping your back straight'
+  ],
+  'squat-knees-forward': [
+    'Your knees are drifting past your toes - sit back more',
+    'Push your hips back so your knees stay over your feet',
+    'Sit back into your heels instead of driving the knees forward',
+    'Less knee, more hips - sit back like there\'s a chair behind you'
+  ],
+  'squat-chest-up': [
+    'Keep your chest up and bend your knees as you squat',
+    'Chest up - bend at the knees, not the waist',
+    'Lift your chest and let your knees bend',
+    'Don\'t fold forward - chest up and bend your knees'
+  ],
+  'squat-sit-back': [
+    'Bend your knees and keep your chest up - sit back into the squat',
+    'Sit back into the squat and bend those knees',
+    'Don\'t bow forward - bend your knees and sit back',
+    'Push your hips back and bend your knees'
+  ],
+  'squat-upright-torso': [
+    'Keep the upper body upright and sit back like you\'re in a chair',
+    'Stay upright - sit back like there\'s a chair behind you',
+    'Lift your torso and sit back into the squat',
+    'Keep your upper body tall as you sit back'
+  ],
+  'squat-heels-down': [
+    'Keep your heels down - push through the whole foot',
+    'Heels on the floor',
+    'Don\'t rise onto your toes - sit back onto your heels',
+    'Drive through your heels'
+  ],
+
+  // Lunge feedback variants
+  'lunge-torso-upright': [
+    'Keep your torso upright as you lower',
+    'Chest up - stay tall through the lunge',
+    'Don\'t lean forward, keep your upper body straight',
+    'Stay upright and drop straight down'
+  ],
+  'lunge-knee-past-ankle': [
+    'Keep your front knee over your ankle',
+    'Your front knee is drifting too far forward - take a longer step',
+    'Stack your front knee above your ankle',
+    'Shift your weight back so the knee stays over the ankle'
+  ],
+  'lunge-front-knee-too-deep': [
+    'Not quite so deep - stop with your front knee at ninety degrees',
+    'Ease up a little at the bottom, aim for a right angle in the front knee',
+    'Too deep - keep the front knee at about ninety degrees',
+    'Stop a bit higher to protect your front knee'
+  ],
+  'lunge-back-knee-down': [
+    'Drop your back knee toward the floor',
+    'Let the back knee bend and sink down',
+    'Lower straight down - bring that back knee closer to the ground',
+    'Bend the back leg more as you lower'
+  ],
+  'lunge-good-depth': [
+    'Great lunge! Front knee right at ninety degrees',
+    'Perfect depth on that lunge',
+    'Nice! That\'s a solid lunge',
+    'Good depth - drive back up through the front heel'
+  ],
+  'lunge-encouragement': [
+    'Keep going, nice and controlled',
+    'Good work! Stay balanced',
+    'Looking strong, keep it up!',
+    'Nice steady lunges!'
+  ],
+
+  // Wall sit feedback variants
+  'wallsit-knee-too-bent': [
+    'Bend your knees less - aim for a 90-degree angle',
+    'Straighten your knees a bit - target 90 degrees',
+    'Your knees are too bent - aim for 90 degrees',
+    'Adjust to a 90-degree knee angle'
+  ],
+  'wallsit-knee-too-straight': [
+    'Bend your knees more - aim for a 90-degree angle',
+    'Bend deeper - target 90 degrees',
+    'You need more knee bend - aim for 90 degrees',
+    'Get to a 90-degree knee angle'
+  ],
+  'wallsit-perfect-knee': [
+    'Perfect knee angle! Keep holding',
+    'Excellent! That\'s the right angle',
+    'Perfect! Maintain that 90-degree angle',
+    'Great angle! Keep holding strong'
+  ],
+  'wallsit-good-knee': [
+    'Good form! Keep your knees at 90 degrees',
+    'Nice! Maintain that knee angle',
+    'Looking good! Keep those knees at 90',
+    'Good work! Stay at that angle'
+  ],
+  'wallsit-back-alignment': [
+    'Keep your back flat against the wall and upright',
+    'Press your back flat against the wall',
+    'Make sure your back is flat on the wall',
+    'Keep your back pressed against the wall'
+  ],
+  'wallsit-back-pressed': [
+    'Keep your back pressed flat against the wall',
+    'Press that back against the wall',
+    'Make sure your back stays on the wall',
+    'Keep your back flat on the wall'
+  ],
+  'wallsit-hips-too-high': [
+    'Lower your hips - they should be at knee level or below',
+    'Drop your hips down to knee level',
+    'Your hips need to be lower - at knee height',
+    'Get those hips down to knee level'
+  ],
+  'wallsit-hips-too-low': [
+    'Keep your hips at knee level',
+    'Raise your hips to knee level',
+    'Your hips should be at knee height',
+    'Adjust your hips to knee level'
+  ],
+
+  // Step-up and chair squat feedback variants
+  'step-up-hips-through': [
+    'Drive your hips all the way through at the top',
+    'Stand tall on the step - squeeze your glutes',
+    'Finish with your hips fully extended',
+    'Don\'t stay bent at the top - stand up straight'
+  ],
+  'step-up-chest-up': [
+    'Keep your chest up',
+    'Don\'t lean over your front leg',
+    'Stay tall as you step up',
+    'Chest proud, drive through your heel'
+  ],
+  'step-up-stand-tall': [
+    'Step all the way up',
+    'Straighten your leg on top',
+    'Finish the step - stand tall',
+    'Drive up until your leg is straight'
+  ],
+  'step-up-good-extension': [
+    'Great, standing tall on top!',
+    'Nice full extension',
+    'Strong step, good hips',
+    'Perfect finish on that step'
+  ],
+  'chair-squat-chest-up': [
+    'Keep your chest up as you sit back',
+    'Don\'t fold forward - chest up',
+    'Sit back with a tall chest',
+    'Lift your chest a little'
+  ],
+  'chair-squat-touch': [
+    'Sit back until you touch the chair',
+    'Go a little lower - tap the seat',
+    'Reach the chair on every rep',
+    'All the way down to the seat'
+  ],
+  'chair-squat-no-bounce': [
+    'Don\'t bounce off the chair - pause and stand',
+    'Touch and pause, no bouncing',
+    'Settle for a moment on the seat',
+    'Control it - no bounce at the bottom'
+  ],
+  'chair-squat-slow-down': [
+    'Slow down on the way down',
+    'Lower yourself with control',
+    'Don\'t drop onto the seat',
+    'Take your time sitting back'
+  ],
+  'chair-squat-good-depth': [
+    'Great depth!',
+    'Nice, right down to the seat',
+    'Good control at the bottom',
+    'Perfect depth - now drive up'
+  ],
+
+  // Calf raise feedback variants (heel points come from BlazePose)
+  'calf-raise-higher': [
+    'Rise all the way up onto the balls of your feet',
+    'Get higher on your toes',
+    'Full range - lift those heels higher',
+    'Push up as tall as you can'
+  ],
+  'calf-raise-squeeze': [
+    'Pause at the top and squeeze your calves',
+    'Hold the top for a moment',
+    'Squeeze at the top before lowering',
+    'Don\'t bounce - pause up high'
+  ],
+  'calf-raise-straight-legs': [
+    'Keep your legs straight - lift with your calves',
+    'Don\'t bend your knees, rise onto your toes',
+    'Straight legs, let the calves do the work',
+    'Lock your knees softly and lift your heels'
+  ],
+  'calf-raise-good-height': [
+    'Great height!',
+    'Nice and tall on your toes',
+    'Good lift, lower slowly',
+    'That\'s full range'
+  ]
+}
@@ -0,0 +1,187 @@
+// Spoken variants for push-ups, dips, curls, tricep work, overhead presses and raises
+
+export const UPPER_BODY_VARIANTS = {
+  // Push-up feedback variants
+  'pushup-too-shallow': [
+    'Lower your body more to get full range of motion',
+    'Go deeper - lower your body more',
+    'Try to get your chest closer to the ground',
+    'You need more depth - lower yourself more'
+  ],
+  'pushup-excellent-depth': [
+    'Excellent depth! You\'re going all the way down',
+    'Perfect depth! Keep going that low',
+    'Great! You\'re hitting full range of motion',
+    'Awesome depth! Keep it up'
+  ],
+  'pushup-good-depth': [
+    'Good depth! Keep your body straight',
+    'Nice depth! Maintain that straight line',
+    'Looking good! Keep that form',
+    'Good work on the depth!'
+  ],
+  'pushup-body-alignment': [
+    'Keep your body in a straight line from head to toe',
+    'Maintain a straight line throughout your body',
+    'Keep your body aligned from head to heels',
+    'Focus on keeping your body straight'
+  ],
+  'pushup-hand-position': [
+    'Keep your hands directly under your shoulders',
+    'Position your hands under your shoulders',
+    'Make sure your hands are aligned with your shoulders',
+    'Your hands should be directly under your shoulders'
+  ],
+  'pushup-elbow-flare': [
+    'Keep your elbows closer to your body, not flared out',
+    'Tuck your elbows in closer to your sides',
+    'Don\'t let your elbows flare out too much',
+    'Keep those elbows close to your body'
+  ],
+
+  // Dip feedback variants
+  'dip-too-deep': [
+    'Don\'t go too deep - stop with your shoulders above your elbows',
+    'Shoulders stay above your elbows',
+    'That\'s too low for your shoulders - shorten the range',
+    'Stop at 90 degrees at the elbows'
+  ],
+  'dip-go-lower': [
+    'Lower until your elbows reach 90 degrees',
+    'Go a little deeper',
+    'Bend your elbows more',
+    'Full range - dip lower'
+  ],
+  'dip-good-depth': [
+    'Great depth, shoulders safe!',
+    'Perfect - 90 degrees at the elbows',
+    'Nice controlled dip',
+    'Good range, push back up'
+  ],
+
+  // Curl and tricep feedback variants
+  'arms-torso-swing': [
+    'Don\'t swing your body - keep your torso still',
+    'Stop rocking, let your arms do the work',
+    'Stand tall and keep your body still',
+    'No swinging - lighten the weight if you need to'
+  ],
+  'curl-elbows-pinned': [
+    'Keep your elbows pinned to your sides',
+    'Your elbows are drifting forward - keep them by your ribs',
+    'Lock your upper arms in place and just bend the elbow',
+    'Don\'t let your elbows swing forward'
+  ],
+  'curl-full-squeeze': [
+    'Great squeeze at the top!',
+    'Full range - nice curl',
+    'Excellent contraction, now lower slowly',
+    'Perfect curl! Control it on the way down'
+  ],
+  'curl-good-form': [
+    'Good form, elbows nice and still',
+    'Nice strict curls!',
+    'Looking good - keep those elbows tucked',
+    'Great control, keep going'
+  ],
+  'tricep-upper-arm-still': [
+    'Keep your upper arm still - only the forearm moves',
+    'Pin your elbows at your sides',
+    'Your upper arm is moving, lock it in place',
+    'Don\'t let the elbows drift - just extend the forearm'
+  ],
+  'tricep-full-lockout': [
+    'Great lockout! Squeeze the triceps',
+    'Full extension - nice!',
+    'Perfect, straighten all the way like that',
+    'Excellent lockout, control the return'
+  ],
+  'tricep-good-form': [
+    'Good form, upper arms nice and still',
+    'Nice strict extensions!',
+    'Looking good - keep it controlled',
+    'Great control, keep going'
+  ],
+  'overhead-tricep-elbows-up': [
+    'Keep your elbows pointed up at the ceiling',
+    'Your elbows are dropping - point them straight up',
+    'Elbows up! Keep them high next to your head',
+    'Lift your elbows back up beside your ears'
+  ],
+  'overhead-tricep-elbows-in': [
+    'Keep your elbows in close to your head',
+    'Don\'t let your elbows flare out',
+    'Elbows in and pointing up',
+    'Squeeze your elbows in toward your ears'
+  ],
+
+  // Overhead press feedback variants
+  'press-back-arch': [
+    'Don\'t lean back - squeeze your glutes and keep your ribs down',
+    'Your lower back is arching, brace your core',
+    'Stay tall, ribs down - don\'t lean back to press',
+    'Tighten your abs and stop arching your back'
+  ],
+  'press-stack-wrists': [
+    'Keep your wrists stacked over your elbows',
+    'Press straight up - wrists right above the elbows',
+    'Your forearms are tilting, keep them vertical',
+    'Stack wrist over elbow and drive straight up'
+  ],
+  'press-finish-lockout': [
+    'Press all the way up to a full lockout',
+    'Finish the rep - straighten your arms overhead',
+    'Go all the way up, lock it out',
+    'Full extension at the top'
+  ],
+  'press-full-lockout': [
+    'Great lockout overhead!',
+    'Strong press, full extension',
+    'Perfect - arms locked out',
+    'Nice press! Control it back down'
+  ],
+  'press-good-path': [
+    'Good bar path, wrists nicely stacked',
+    'Nice straight press',
+    'Looking good - keep pressing straight up',
+    'Solid form, keep it up'
+  ],
+
+  // Raise feedback variants
+  'raise-stop-at-shoulders': [
+    'Stop at shoulder height',
+    'Don\'t go above your shoulders',
+    'Lift to shoulder level, no higher',
+    'That\'s too high - stop when your arms are level with your shoulders'
+  ],
+  'raise-straighten-arms': [
+    'Straighten your arms - keep just a soft bend in the elbows',
+    'Don\'t bend your elbows so much',
+    'Keep your arms long as you raise',
+    'Lengthen your arms, only a slight elbow bend'
+  ],
+  'raise-arms-even': [
+    'Raise both arms evenly',
+    'One arm is higher - lift them together',
+    'Keep both arms at the same height',
+    'Match your arms - even on both sides'
+  ],
+  'raise-soften-elbows': [
+    'Keep a slight bend in your elbows',
+    'Soften your elbows a little',
+    'Don\'t lock your elbows out',
+    'Unlock the elbows slightly'
+  ],
+  'raise-good-height': [
+    'Perfect height - right at the shoulders',
+    'Great raise! Shoulder level',
+    'Nice, that\'s the right height',
+    'Good raise - lower it slowly'
+  ],
+  'raise-encouragement': [
+    'Nice and controlled, keep going',
+    'Good work! Smooth raises',
+    'Looking good, keep it steady',
+    'Keep it up - control the way down'
+  ]
+}
@@ -0,0 +1,368 @@
+import { calculateAngle, calculateDistance, findKeypoint } from './angleUtils'
+import { measureTorsoLength } from './bodyScale'
+
+/**
+ * Declarative form rule engine
+ * Exercises describe their checks as data (see exerciseRules.js): named metrics
+ * measured from keypoints, and rules whose conditions are evaluated against them.
+ * The engine returns every violated rule, ranked by severity and priority.
+ */
+
+export const SEVERITY = {
+  CRITICAL: 'critical',
+  WARNING: 'warning',
+  INFO: 'info'
+}
+
+const SEVERITY_RANK = {
+  [SEVERITY.CRITICAL]: 3,
+  [SEVERITY.WARNING]: 2,
+  [SEVERITY.INFO]: 1
+}
+
+/**
+ * Camera views an exercise can be judged from
+ * LEFT_SIDE / RIGHT_SIDE name the side of the body turned toward the camera
+ */
+export const VIEW = {
+  FRONT: 'front',
+  LEFT_SIDE: 'left-side',
+  RIGHT_SIDE: 'right-side',
+  THREE_QUARTER: 'three-quarter'
+}
+
+// Shoulder width relative to torso length: square to the camera vs turned sideways
+const FRONT_VIEW_RATIO = 0.5
+const SIDE_VIEW_RATIO = 0.2
+
+/**
+ * Angle at joint `b` formed by points a-b-c (e.g. hip-knee-ankle)
+ */
+export const jointAngle = (a, b, c) => ({ type: 'angle', points: [a, b, c] })
+
+/**
+ * Orientation of the segment from -> to, in degrees away from the reference axis
+ * 0° = parallel to the reference ('vertical' or 'horizontal'), 90° = perpendicular
+ */
+export const segmentAngle = (from, to, reference = 'vertical') => ({ type: 'segment', points: [from, to], reference })
+
+/**
+ * Signed distance to[axis] - from[axis]
+ * Options: absolute (drop the sign), normalizeBy ([a, b] segment whose length divides the offset,
+ * or 'body' for torso lengths from the body scale - see bodyScale.js),
+ * forward (x only: positive toward where the user faces, so the sign doesn't flip with direction)
+ */
+export const offset = (from, to, axis, options = {}) => ({ type: 'offset', points: [from, to], axis, ...options })
+
+/**
+ * Perpendicular distance of `point` from the line from -> to, relative to the line's length
+ * Positive = above the line (e.g. hips piked), negative = below it (hips sagging)
+ */
+export const lineDeviation = (from, to, point) => ({ type: 'line', points: [from, to, point] })
+
+/**
+ * Largest / smallest of several metric descriptors, ignoring any that can't be measured
+ * e.g. the more drifted of the two upper arms
+ */
+export const maxOf = (...descriptors) => ({ type: 'max', descriptors })
+export const minOf = (...descriptors) => ({ type: 'min', descriptors })
+
+/**
+ * Absolute difference between two metric descriptors (e.g. left vs right arm elevation)
+ */
+export const difference = (a, b) => ({ type: 'difference', descriptors: [a, b] })
+
+/**
+ * Resolve a point name to a keypoint
+ * Generic names ('hip') use the left side by default and fall back to the right,
+ * sided or central names ('left_hip', 'nose') are looked up directly.
+ * Stance names ('front_knee', 'back_knee') need `sides` from detectLeadSide()
+ * @param {Object} [sides] - { front, back } as 'left' / 'right'
+ */
+export function resolvePoint(keypoints, name, sides = null) {
+  if (name.startsWith('front_') || name.startsWith('back_')) {
+    const [stance, ...rest] = name.split('_')
+    if (!sides) return null
+    return findKeypoint(keypoints, `${sides[stance]}_${rest.join('_')}`) || null
+  }
+  if (name.startsWith('left_') || name.startsWith('right_') || name === 'nose') {
+    return findKeypoint(keypoints, name) || null
+  }
+  return findKeypoint(keypoints, `left_${name}`) || findKeypoint(keypoints, `right_${name}`) || null
+}
+
+/**
+ * Direction the user faces along the image x axis, from the nose relative to the hips
+ * @returns {number} 1 (toward +x), -1 (toward -x) or 0 if unknown
+ */
+export function detectFacing(keypoints) {
+  const nose = findKeypoint(keypoints, 'nose')
+  const hip = findKeypoint(keypoints, 'left_hip') || findKeypoint(keypoints, 'right_hip')
+  if (!nose || !hip) return 0
+  return Math.sign(nose.x - hip.x)
+}
+
+/**
+ * Classify the camera view from the shoulders
+ * Square to the camera both shoulders are visible and far apart relative to the torso;
+ * turned sideways they overlap, or the far one drops out of detection.
+ * @returns {string|null} A VIEW value, or null if the shoulders can't be seen
+ */
+export function detectView(keypoints) {
+  const leftShoulder = findKeypoint(keypoints, 'left_shoulder')
+  const rightShoulder = findKeypoint(keypoints, 'right_shoulder')
+  if (!leftShoulder && !rightShoulder) return null
+  if (!leftShoulder || !rightShoulder) return leftShoulder ? VIEW.LEFT_SIDE : VIEW.RIGHT_SIDE
+
+  const hip = findKeypoint(keypoints, 'left_hip') || findKeypoint(keypoints, 'right_hip')
+  if (!hip) return null
+  const shoulderMid = { x: (leftShoulder.x + rightShoulder.x) / 2, y: (leftShoulder.y + rightShoulder.y) / 2 }
+  const ratio = calculateDistance(leftShoulder, rightShoulder) / (calculateDistance(shoulderMid, hip) || 1)
+
+  if (ratio >= FRONT_VIEW_RATIO) return VIEW.FRONT
+  if (ratio > SIDE_VIEW_RATIO) return VIEW.THREE_QUARTER
+  // The side nearer the camera is detected more confidently
+  return leftShoulder.score >= rightShoulder.score ? VIEW.LEFT_SIDE : VIEW.RIGHT_SIDE
+}
+
+/**
+ * Work out which leg is forward in a split stance (lunge, split squat, step-up)
+ * From the side, the front foot is the one further in the direction the nose points.
+ * Facing the camera (or without the nose) the back knee is the one nearer the floor.
+ * @returns {string|null} 'left' or 'right', or null if the legs can't be told apart
+ */
+export function detectLeadSide(keypoints) {
+  const point = (name) => findKeypoint(keypoints, name) || null
+  const leftAnkle = point('left_ankle')
+  const rightAnkle = point('right_ankle')
+  const leftKnee = point('left_knee')
+  const rightKnee = point('right_knee')
+  const hip = point('left_hip') || point('right_hip')
+  const nose = point('nose')
+
+  if (nose && hip && leftAnkle && rightAnkle && leftKnee) {
+    const facing = detectFacing(keypoints)
+    const stride = (leftAnkle.x - rightAnkle.x) * facing
+    // Feet need to be apart by a meaningful share of shin length to tell front from back
+    const shin = calculateDistance(leftKnee, leftAnkle) || 1
+    if (facing !== 0 && Math.abs(stride) > shin * 0.3) {
+      return stride > 0 ? 'left' : 'right'
+    }
+  }
+
+  // Knee heights need to differ by a meaningful share of the torso
+  const torso = measureTorsoLength(keypoints)
+  if (leftKnee && rightKnee && torso && Math.abs(leftKnee.y - rightKnee.y) > torso * 0.08) {
+    return leftKnee.y < rightKnee.y ? 'left' : 'right'
+  }
+  return null
+}
+
+// Names that resolve to one specific point rather than "left, or else right"
+const isSidedName = (name) =>
+  name === 'nose' || ['left_', 'right_', 'front_', 'back_'].some(prefix => name.startsWith(prefix))
+
+/**
+ * Joint angles built only from generic point names ('hip', 'knee', ...) can be
+ * measured on either side of the body
+ */
+function isBilateral(descriptor) {
+  return descriptor.type === 'angle' && !descriptor.points.some(isSidedName)
+}
+
+/**
+ * The same joint angle pinned to one side ('knee' -> 'left_knee')
+ */
+function toSide(descriptor, side) {
+  return { ...descriptor, points: descriptor.points.map(name => `${side}_${name}`) }
+}
+
+/**
+ * Measure a single metric descriptor
+ * @param {number} [bodyScale] - Calibrated torso length in pixels for `normalizeBy: 'body'`;
+ *   without it the frame's own torso length is used
+ * @returns {number|null} Metric value, or null if any of its points is missing
+ */
+export function measureMetric(keypoints, descriptor, sides = null, bodyScale = null) {
+  if (descriptor.type === 'max' || descriptor.type === 'min') {
+    const values = descriptor.descriptors
+      .map(child => measureMetric(keypoints, child, sides, bodyScale))
+      .filter(value => value !== null)
+    if (values.length === 0) return null
+    return descriptor.type === 'max' ? Math.max(...values) : Math.min(...values)
+  }
+  if (descriptor.type === 'difference') {
+    const [a, b] = descriptor.descriptors.map(child => measureMetric(keypoints, child, sides, bodyScale))
+    return a === null || b === null ? null : Math.abs(a - b)
+  }
+
+  const points = descriptor.points.map(name => resolvePoint(keypoints, name, sides))
+  if (points.some(point => !point)) return null
+
+  switch (descriptor.type) {
+    case 'angle':
+      return calculateAngle(points[0], points[1], points[2])
+    case 'segment': {
+      const [from, to] = points
+      const horizontal = Math.abs(to.x - from.x)
+      const vertical = Math.abs(to.y - from.y)
+      const radians = descriptor.reference === 'horizontal'
+        ? Math.atan2(vertical, horizontal)
+        : Math.atan2(horizontal, vertical)
+      return radians * 180 / Math.PI
+    }
+    case 'offset': {
+      const [from, to] = points
+      let value = to[descriptor.axis] - from[descriptor.axis]
+      if (descriptor.forward) {
+        const facing = detectFacing(keypoints)
+        if (facing === 0) return null
+        value *= facing
+      }
+      if (descriptor.absolute) value = Math.abs(value)
+      if (descriptor.normalizeBy === 'body') {
+        const scale = bodyScale || measureTorsoLength(keypoints)
+        if (!scale) return null
+        value = value / scale
+      } else if (descriptor.normalizeBy) {
+        const [a, b] = descriptor.normalizeBy.map(name => resolvePoint(keypoints, name, sides))
+        if (!a || !b) return null
+        value = value / (calculateDistance(a, b) || 1)
+      }
+      return value
+    }
+    case 'line': {
+      // Orient the line left to right so "above" doesn't depend on which way the body faces
+      const [start, end] = points[0].x <= points[1].x ? [points[0], points[1]] : [points[1], points[0]]
+      const point = points[2]
+      const length = calculateDistance(start, end) || 1
+      const cross = (end.x - start.x) * (point.y - start.y) - (end.y - start.y) * (point.x - start.x)
+      // Image y grows downward, so a point above the line has a negative cross product
+      return -cross / (length * length)
+    }
+    default:
+      return null
+  }
+}
+
+/**
+ * Test a condition against measured metrics
+ * Leaf conditions: { metric, lt, lte, gt, gte } - all given bounds must hold
+ * Compound conditions: { all: [...] } or { any: [...] }
+ * A condition on a metric that couldn't be measured never matches
+ */
+export function testCondition(condition, metrics) {
+  if (condition.all) return condition.all.every(child => testCondition(child, metrics))
+  if (condition.any) return condition.any.some(child => testCondition(child, metrics))
+
+  const value = metrics[condition.metric]
+  if (value === null || value === undefined) return false
+
+  if (condition.lt !== undefined && !(value < condition.lt)) return false
+  if (condition.lte !== undefined && !(value <= condition.lte)) return false
+  if (condition.gt !== undefined && !(value > condition.gt)) return false
+  if (condition.gte !== undefined && !(value >= condition.gte)) return false
+  return true
+}
+
+/**
+ * Rank violations: most severe first, then highest priority
+ */
+function compareViolations(a, b) {
+  const severityDiff = (SEVERITY_RANK[b.severity] || 0) - (SEVERITY_RANK[a.severity] || 0)
+  if (severityDiff !== 0) return severityDiff
+  return (b.priority || 0) - (a.priority || 0)
+}
+
+/**
+ * Turn a matched rule into a typed issue
+ * @returns {Object} { id, key, severity, priority, joint, measured, target }
+ */
+function toIssue(rule, metrics) {
+  const measured = rule.measure ? metrics[rule.measure] : null
+  return {
+    id: rule.id,
+    key: rule.key,
+    severity: rule.severity,
+    priority: rule.priority || 0,
+    joint: rule.joint || null,
+    measured: measured ?? null,
+    target: rule.target || null
+  }
+}
+
+/**
+ * Feedback key asking the user to turn toward the first of the supported views
+ */
+function getTurnKey(views) {
+  return views[0] === VIEW.FRONT ? 'view-face-camera' : 'view-turn-side'
+}
+
+/**
+ * Evaluate an exercise definition against one frame of keypoints
+ * @param {Object} definition - { required, metrics, rules, cues, stance, views }
+ *   stance: 'split' resolves front_* / back_* point names to the detected lead leg
+ *   views: camera views the exercise can be judged from; a rule may narrow them with its own
+ *   `views`. Rules that can't be judged from the detected view are skipped.
+ * @param {Array} keypoints - Array of keypoint objects
+ * @param {Object} [options]
+ * @param {number} [options.bodyScale] - Calibrated torso length in pixels (bodyScale.js)
+ * @returns {Object} { ready, metrics, violations, cues, leadSide, bilateral, view, viewKey }
+ *   ready is false when a required point is missing,
+ *   violations are typed issues for every matched rule, ranked most important first,
+ *   cues are matched positive cue keys in declaration order,
+ *   leadSide is the front leg ('left' / 'right') for split-stance definitions, otherwise null,
+ *   bilateral is { [metric]: { left, right, joint } } for joint angles visible on both sides
+ *   (skipped for split stances, where the legs differ on purpose),
+ *   view is the detected camera view and viewKey a turn instruction if the exercise can't be
+ *   judged from it (null otherwise)
+ */
+export function evaluateRules(definition, keypoints, options = {}) {
+  const bodyScale = options.bodyScale || null
+  const leadSide = definition.stance === 'split' ? detectLeadSide(keypoints) : null
+  // Feet together (between alternating lunges) both legs are equivalent - measure the left as front
+  const sides = definition.stance === 'split'
+    ? { front: leadSide || 'left', back: leadSide === 'right' ? 'left' : 'right' }
+    : null
+
+  const required = definition.required || []
+  if (required.some(name => !resolvePoint(keypoints, name, sides))) {
+    return { ready: false, metrics: {}, violations: [], cues: [], leadSide: null, bilateral: {}, view: null, viewKey: null }
+  }
+
+  // An undetected view doesn't block anything - only a clearly wrong one does
+  const view = detectView(keypoints)
+  const judgeable = (views) => !views || !view || views.includes(view)
+  const viewKey = judgeable(definition.views) ? null : getTurnKey(definition.views)
+
+  const metrics = {}
+  Object.entries(definition.metrics || {}).forEach(([name, descriptor]) => {
+    metrics[name] = measureMetric(keypoints, descriptor, sides, bodyScale)
+  })
+
+  const violations = (definition.rules || [])
+    .filter(rule => judgeable(rule.views || definition.views))
+    .filter(rule => testCondition(rule.when, metrics))
+    .map(rule => toIssue(rule, metrics))
+    .sort(compareViolations)
+
+  const cues = (definition.cues || [])
+    .filter(cue => judgeable(cue.views || definition.views))
+    .filter(cue => testCondition(cue.when, metrics))
+    .map(cue => ({ key: cue.key }))
+
+  const bilateral = {}
+  if (definition.stance !== 'split') {
+    Object.entries(definition.metrics || {})
+      .filter(([, descriptor]) => isBilateral(descriptor))
+      .forEach(([name, descriptor]) => {
+        const left = measureMetric(keypoints, toSide(descriptor, 'left'))
+        const right = measureMetric(keypoints, toSide(descriptor, 'right'))
+        if (left !== null && right !== null) {
+          bilateral[name] = { left, right, joint: descriptor.points[1] }
+        }
+      })
+  }
+
+  return { ready: true, metrics, violations, cues, leadSide, bilateral, view, viewKey }
+}
@@ -0,0 +1,104 @@
+/**
+ * Isometric hold timer
+ *
+ * Tracks time in good form for static holds (wall sit, plank, ...).
+ * The clock pauses automatically while form is broken and resumes once it's fixed.
+ * With a target duration it also emits countdown events for voice cues.
+ */
+
+export const HOLD_EVENT = {
+  STARTED: 'started',
+  PAUSED: 'paused',
+  RESUMED: 'resumed',
+  COUNTDOWN: 'countdown',
+  COMPLETE: 'complete'
+}
+
+// Seconds-left marks that get a voice countdown
+const COUNTDOWN_MARKS = [30, 10, 5, 4, 3, 2, 1]
+
+// Frame gaps longer than this (tab hidden, detection stalled) aren't counted as hold time
+const MAX_FRAME_GAP = 1000
+
+/**
+ * Create a hold timer
+ * @param {Object} [options]
+ * @param {number|null} [options.target] - Target hold duration in ms (null = open-ended)
+ * @returns {Object} { update, getState, reset }
+ */
+export function createHoldTimer({ target = null } = {}) {
+  let startedAt = null
+  let lastTimestamp = null
+  let goodTime = 0
+  let totalTime = 0
+  let isHolding = false
+  let completed = false
+  let announced = new Set()
+
+  const getState = () => ({
+    goodTime,
+    totalTime,
+    isHolding,
+    started: startedAt !== null,
+    target,
+    remaining: target !== null ? Math.max(0, target - goodTime) : null,
+    completed
+  })
+
+  /**
+   * Feed one frame
+   * @param {boolean} inForm - Whether the hold position is currently acceptable
+   * @param {number} timestamp - Frame time in ms
+   * @returns {Object|null} Event for this frame, or null
+   *   { type: HOLD_EVENT.*, secondsLeft? }
+   */
+  const update = (inForm, timestamp) => {
+    // The clock starts the first time the user gets into position
+    if (startedAt === null) {
+      if (!inForm) return null
+      startedAt = timestamp
+      lastTimestamp = timestamp
+      isHolding = true
+      return { type: HOLD_EVENT.STARTED }
+    }
+
+    const delta = Math.min(Math.max(timestamp - lastTimestamp, 0), MAX_FRAME_GAP)
+    lastTimestamp = timestamp
+    totalTime += delta
+    if (isHolding) goodTime += delta
+
+    const wasHolding = isHolding
+    isHolding = inForm
+
+    if (target !== null && !completed) {
+      if (goodTime >= target) {
+        completed = true
+        return { type: HOLD_EVENT.COMPLETE }
+      }
+      const secondsLeft = Math.ceil((target - goodTime) / 1000)
+      const mark = COUNTDOWN_MARKS.find(m => secondsLeft <= m && !announced.has(m))
+      // Only announce the mark being crossed now, not ones already passed
+      if (mark !== undefined && secondsLeft === mark) {
+        announced.add(mark)
+        return { type: HOLD_EVENT.COUNTDOWN, secondsLeft }
+      }
+      if (mark !== undefined) announced.add(mark)
+    }
+
+    if (wasHolding && !isHolding) return { type: HOLD_EVENT.PAUSED }
+    if (!wasHolding && isHolding) return { type: HOLD_EVENT.RESUMED }
+    return null
+  }
+
+  const reset = () => {
+    startedAt = null
+    lastTimestamp = null
+    goodTime = 0
+    totalTime = 0
+    isHolding = false
+    completed = false
+    announced = new Set()
+  }
+
+  return { update, getState, reset }
+}
@@ -0,0 +1,49 @@
+/**
+ * Persistence gate for spoken corrections
+ *
+ * Form issues are detected per frame, but a correction should only be spoken
+ * once the problem has lasted: an issue is confirmed after it has been reported
+ * on `frames` consecutive frames spanning at least `duration` ms. Missing a
+ * single frame starts the count again.
+ */
+
+export const DEFAULT_ISSUE_GATE = {
+  frames: 3, // Consecutive frames an issue must be reported on
+  duration: 250 // ms from the first of those frames
+}
+
+/**
+ * Create an issue gate
+ * @param {Object} [config] - Overrides for DEFAULT_ISSUE_GATE
+ * @returns {Object} { update, reset }
+ */
+export function createIssueGate(config = {}) {
+  const { frames, duration } = { ...DEFAULT_ISSUE_GATE, ...config }
+
+  let streaks = {} // issue key -> { since, frames }
+
+  /**
+   * Record the issues reported on one frame
+   * @param {Array} issues - Ranked issues from the analyzer ({ key, ... })
+   * @param {number} timestamp - Frame time in ms
+   * @returns {Array} The issues that have persisted long enough, in the same order
+   */
+  const update = (issues, timestamp) => {
+    const next = {}
+    issues.forEach(issue => {
+      const streak = streaks[issue.key]
+      next[issue.key] = streak ? { since: streak.since, frames: streak.frames + 1 } : { since: timestamp, frames: 1 }
+    })
+    streaks = next
+    return issues.filter(issue => {
+      const streak = streaks[issue.key]
+      return streak.frames >= frames && timestamp - streak.since >= duration
+    })
+  }
+
+  const reset = () => {
+    streaks = {}
+  }
+
+  return { update, reset }
+}
@@ -0,0 +1,188 @@
+import { calculateDistance } from './angleUtils'
+
+/**
+ * Temporal keypoint filtering between detection and analysis
+ *
+ * A single jittery frame shouldn't be able to trip a threshold, so every keypoint
+ * is smoothed over time with a One-Euro filter: heavy smoothing while a point is
+ * still, less as it speeds up, so real movement isn't delayed. A point that drops
+ * out (low score) or jumps to a position that stretches one of its bones far past
+ * that bone's usual length is held at its last smoothed position for a short while
+ * instead of being passed on. Held points keep their last visible score and are
+ * marked `held: true`.
+ */
+
+export const DEFAULT_FILTER_CONFIG = {
+  minCutoff: 1.0, // Hz, smoothing of a still point (lower = smoother)
+  beta: 0.05, // How quickly smoothing eases off with speed (per px/s)
+  dCutoff: 1.0, // Hz, smoothing of the speed estimate
+  holdMs: 200, // How long a lost or rejected point is held at its last position
+  minScore: 0.3, // Scores at or below this count as not detected
+  boneTolerance: 0.35 // Largest change of a bone's length, relative to its usual length, in one frame
+}
+
+// Bones checked for length consistency, as generic point names on each side
+const BONES = [
+  ['shoulder', 'elbow'],
+  ['elbow', 'wrist'],
+  ['shoulder', 'hip'],
+  ['hip', 'knee'],
+  ['knee', 'ankle']
+].flatMap(([a, b]) => ['left', 'right'].map(side => [`${side}_${a}`, `${side}_${b}`]))
+
+const BONE_ADAPT_RATE = 0.1 // How quickly a bone's usual length follows accepted frames
+
+const smoothingFactor = (cutoff, dt) => {
+  const tau = 1 / (2 * Math.PI * cutoff)
+  return 1 / (1 + tau / dt)
+}
+
+/**
+ * One-Euro filter for a single value
+ * @returns {Object} { filter(value, dt), value() }
+ */
+function createOneEuro({ minCutoff, beta, dCutoff }, initial) {
+  let value = initial
+  let speed = 0
+
+  const filter = (raw, dt) => {
+    if (dt <= 0) return value
+    const rawSpeed = (raw - value) / dt
+    speed += smoothingFactor(dCutoff, dt) * (rawSpeed - speed)
+    const cutoff = minCutoff + beta * Math.abs(speed)
+    value += smoothingFactor(cutoff, dt) * (raw - value)
+    return value
+  }
+
+  return { filter, value: () => value }
+}
+
+/**
+ * Create a keypoint filter
+ * @param {Object} [config] - Overrides for DEFAULT_FILTER_CONFIG
+ * @returns {Object} { filter, reset }
+ */
+export function createKeypointFilter(config = {}) {
+  const settings = { ...DEFAULT_FILTER_CONFIG, ...config }
+
+  let tracks = {} // name -> { x, y (One-Euro filters), score, lastSeen, rejectedSince }
+  let boneLengths = {} // 'a|b' -> usual length in px
+  let lastTimestamp = null
+  let lastOutput = null
+
+  const isVisible = (kp) => kp && kp.score > settings.minScore
+
+  const held = (kp, track) => ({ ...kp, x: track.x.value(), y: track.y.value(), score: track.score, held: true })
+
+  // Points that would stretch a bone too far this frame; the one that jumped further is blamed
+  const findOutliers = (byName) => {
+    const outliers = new Set()
+    BONES.forEach(([a, b]) => {
+      const usual = boneLengths[`${a}|${b}`]
+      if (!usual || !isVisible(byName[a]) || !isVisible(byName[b])) return
+      const length = calculateDistance(byName[a], byName[b])
+      if (Math.abs(length - usual) / usual <= settings.boneTolerance) return
+
+      const jump = (name) => {
+        const track = tracks[name]
+        return track ? calculateDistance(byName[name], { x: track.x.value(), y: track.y.value() }) : 0
+      }
+      const blamed = jump(a) >= jump(b) ? a : b
+      if (tracks[blamed]) outliers.add(blamed)
+    })
+    return outliers
+  }
+
+  // Let the usual bone lengths follow the accepted points (bones foreshorten as the body turns)
+  const updateBones = (byName, accepted) => {
+    BONES.forEach(([a, b]) => {
+      if (!accepted.has(a) || !accepted.has(b)) return
+      const key = `${a}|${b}`
+      const length = calculateDistance(byName[a], byName[b])
+      boneLengths[key] = boneLengths[key] ? boneLengths[key] + BONE_ADAPT_RATE * (length - boneLengths[key]) : length
+    })
+  }
+
+  // A point accepted after being rejected for too long re-learns its bones
+  const forgetBones = (name) => {
+    Object.keys(boneLengths).forEach(key => {
+      if (key.split('|').includes(name)) delete boneLengths[key]
+    })
+  }
+
+  /**
+   * Filter one frame
+   * @param {Array|null} keypoints - Detected keypoints ({ name, x, y, score }), or null if nobody was found
+   * @param {number} timestamp - Frame time in ms
+   * @returns {Array|null} Filtered keypoints in the same order, or null once the pose has been lost for holdMs
+   */
+  const filter = (keypoints, timestamp) => {
+    const dt = lastTimestamp === null ? 0 : (timestamp - lastTimestamp) / 1000
+
+    if (!keypoints) {
+      // Hold the whole pose through a brief miss
+      const lastSeen = Math.max(0, ...Object.values(tracks).map(track => track.lastSeen))
+      if (lastOutput && timestamp - lastSeen <= settings.holdMs) {
+        return lastOutput.map(kp => (tracks[kp.name] ? held(kp, tracks[kp.name]) : kp))
+      }
+      reset()
+      return null
+    }
+    lastTimestamp = timestamp
+
+    const byName = {}
+    keypoints.forEach(kp => {
+      if (kp?.name) byName[kp.name] = kp
+    })
+    const outliers = findOutliers(byName)
+    const accepted = new Set()
+
+    const output = keypoints.map(kp => {
+      if (!kp?.name) return kp
+      const track = tracks[kp.name]
+
+      if (isVisible(kp) && outliers.has(kp.name)) {
+        if (track.rejectedSince === null) track.rejectedSince = timestamp
+        if (timestamp - track.rejectedSince <= settings.holdMs) return held(kp, track)
+        // Still there after the hold - it's a real change, not a glitch
+        forgetBones(kp.name)
+      }
+
+      if (isVisible(kp)) {
+        accepted.add(kp.name)
+        if (!track || (track.rejectedSince !== null && timestamp - track.rejectedSince > settings.holdMs)) {
+          tracks[kp.name] = {
+            x: createOneEuro(settings, kp.x),
+            y: createOneEuro(settings, kp.y),
+            score: kp.score,
+            lastSeen: timestamp,
+            rejectedSince: null
+          }
+          return { ...kp }
+        }
+        track.score = kp.score
+        track.lastSeen = timestamp
+        track.rejectedSince = null
+        return { ...kp, x: track.x.filter(kp.x, dt), y: track.y.filter(kp.y, dt) }
+      }
+
+      // Not detected: hold briefly, then let it go
+      if (track && timestamp - track.lastSeen <= settings.holdMs) return held(kp, track)
+      delete tracks[kp.name]
+      return kp
+    })
+
+    updateBones(byName, accepted)
+    lastOutput = output
+    return output
+  }
+
+  const reset = () => {
+    tracks = {}
+    boneLengths = {}
+    lastTimestamp = null
+    lastOutput = null
+  }
+
+  return { filter, reset }
+}
@@ -0,0 +1,277 @@
+import { createTraceRecorder } from './sessionTrace'
+
+/**
+ * Synthetic poses for building analyzer fixtures
+ *
+ * A kinematic stick figure posed by joint angles and photographed by a virtual
+ * camera, producing the 17 MoveNet keypoints ({ name, x, y, score }) the
+ * analyzers and rep tracking take. Angles follow the rule engine's measurements:
+ *
+ * - trunkLean: torso from vertical, leaning forward is positive
+ * - hip: shoulder-hip-knee angle, 180 = thigh in line with the torso; above 180
+ *   the thigh is behind it (the back leg of a lunge)
+ * - knee: hip-knee-ankle angle, 180 = straight
+ * - shoulder: arm raised forward from hanging at the side (90 = straight ahead,
+ *   180 = overhead); abduction: arm raised out to the side
+ * - elbow: shoulder-elbow-wrist angle, 180 = straight; bends forward and up
+ *
+ * The lower ankle stands on the floor. Legs and arms can be set per side
+ * ({ left: { knee: 100 } }). A sequence interpolates between keyframed poses;
+ * noise, dropped keypoints and the random seed make runs repeatable.
+ */
+
+// MoveNet keypoint order
+export const MOVENET_KEYPOINTS = [
+  'nose', 'left_eye', 'right_eye', 'left_ear', 'right_ear',
+  'left_shoulder', 'right_shoulder', 'left_elbow', 'right_elbow', 'left_wrist', 'right_wrist',
+  'left_hip', 'right_hip', 'left_knee', 'right_knee', 'left_ankle', 'right_ankle'
+]
+
+// Segment lengths in px for a figure about 360 px tall in a 640x480 frame
+export const DEFAULT_PROPORTIONS = {
+  shin: 95,
+  thigh: 95,
+  torso: 120, // Hip midpoint to shoulder midpoint
+  upperArm: 65,
+  forearm: 60,
+  shoulderWidth: 80,
+  hipWidth: 55,
+  neck: 45 // Shoulder midpoint to nose
+}
+
+// Camera yaw in degrees: 0 = facing the camera, 90 = left side to the camera (facing image left)
+export const CAMERA_VIEWS = {
+  front: 0,
+  'left-side': 90,
+  'right-side': -90,
+  'three-quarter': 45
+}
+
+export const STANDING = { trunkLean: 0, hip: 180, knee: 180, shoulder: 0, abduction: 0, elbow: 175 }
+
+const DEFAULT_OPTIONS = {
+  view: 'left-side', // CAMERA_VIEWS key or a yaw in degrees
+  proportions: DEFAULT_PROPORTIONS,
+  scale: 1, // Multiplies every length (distance from the camera)
+  stance: null, // Distance between the ankles in px (default: hip width)
+  width: 640,
+  height: 480,
+  floor: 440, // Image y of the floor
+  score: 0.9, // Score of points on the near side
+  farScore: 0.6, // Score of points hidden behind the body
+  noise: 0, // Standard deviation of position noise in px
+  dropRate: 0, // Chance of each keypoint dropping out on a frame
+  drop: [], // Keypoints that are never detected
+  seed: 1
+}
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180
+
+// Seeded random numbers (mulberry32), so a fixture comes out the same every time
+function createRandom(seed) {
+  let state = seed >>> 0
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+  const gaussian = () => Math.sqrt(-2 * Math.log(1 - next())) * Math.cos(2 * Math.PI * next())
+  return { next, gaussian }
+}
+
+// 3D points are { f, l, u }: forward, to the figure's left, up
+const add = (a, b) => ({ f: a.f + b.f, l: a.l + b.l, u: a.u + b.u })
+const scaled = (v, length) => ({ f: v.f * length, l: v.l * length, u: v.u * length })
+
+// Unit vector in the sagittal plane at `angle` degrees from straight up, forward positive
+const sagittal = (angle) => ({ f: Math.sin(toRadians(angle)), l: 0, u: Math.cos(toRadians(angle)) })
+
+// Angles for one side, with side-specific overrides applied
+const sideAngles = (pose, side) => ({ ...STANDING, ...pose, ...(pose[side] || {}) })
+
+/**
+ * Pose the figure in 3D
+ * @returns {Object} { [keypoint name]: { f, l, u } }, with the hip midpoint at the origin
+ */
+function buildSkeleton(pose, proportions, stance) {
+  const { trunkLean } = { ...STANDING, ...pose }
+  const trunk = sagittal(trunkLean)
+  const points = {}
+
+  const shoulderMid = scaled(trunk, proportions.torso)
+  ;['left', 'right'].forEach(side => {
+    const outward = side === 'left' ? 1 : -1
+    const angles = sideAngles(pose, side)
+
+    // Leg: thigh and shin directions point from the lower joint up to the upper one
+    const hip = { f: 0, l: (outward * proportions.hipWidth) / 2, u: 0 }
+    const thighAngle = trunkLean - (180 - angles.hip)
+    const shinAngle = thighAngle + (180 - angles.knee)
+    const knee = add(hip, scaled(sagittal(thighAngle), -proportions.thigh))
+    const ankle = add(knee, scaled(sagittal(shinAngle), -proportions.shin))
+    // Spread the feet to the stance width, bending the leg out from the hip
+    const spread = (outward * stance) / 2 - hip.l
+    knee.l += spread * (proportions.thigh / (proportions.thigh + proportions.shin))
+    ankle.l += spread
+
+    // Arm: raised forward in the sagittal plane, then out to the side by the abduction
+    const shoulder = add(shoulderMid, { f: 0, l: (outward * proportions.shoulderWidth) / 2, u: 0 })
+    const armAngle = trunkLean + 180 - angles.shoulder
+    const forearmAngle = armAngle - (180 - angles.elbow)
+    const abduct = (direction) => {
+      const a = toRadians(angles.abduction)
+      return { f: direction.f * Math.cos(a), l: outward * Math.sin(a), u: direction.u * Math.cos(a) }
+    }
+    const elbow = add(shoulder, scaled(abduct(sagittal(armAngle)), proportions.upperArm))
+    const wrist = add(elbow, scaled(abduct(sagittal(forearmAngle)), proportions.forearm))
+
+    Object.assign(points, {
+      [`${side}_hip`]: hip,
+      [`${side}_knee`]: knee,
+      [`${side}_ankle`]: ankle,
+      [`${side}_shoulder`]: shoulder,
+      [`${side}_elbow`]: elbow,
+      [`${side}_wrist`]: wrist
+    })
+  })
+
+  // Head follows the torso
+  const nose = add(add(shoulderMid, scaled(trunk, proportions.neck)), scaled(sagittal(trunkLean + 90), proportions.neck * 0.25))
+  ;['left', 'right'].forEach(side => {
+    const outward = side === 'left' ? 1 : -1
+    points[`${side}_eye`] = add(nose, { ...scaled(trunk, proportions.neck * 0.12), l: outward * proportions.neck * 0.15 })
+    points[`${side}_ear`] = add(add(nose, scaled(sagittal(trunkLean + 90), -proportions.neck * 0.25)), { f: 0, l: outward * proportions.neck * 0.3, u: 0 })
+  })
+  points.nose = nose
+
+  return points
+}
+
+/**
+ * Generate one frame of keypoints
+ * @param {Object} pose - Joint angles (see above)
+ * @param {Object} [options] - Overrides for the camera, proportions, noise and drop-outs
+ * @param {Object} [random] - Shared random source for a sequence
+ * @returns {Array<Object>} 17 MoveNet keypoints { name, x, y, score }
+ */
+export function generatePose(pose, options = {}, random = null) {
+  const settings = { ...DEFAULT_OPTIONS, ...options }
+  const proportions = { ...DEFAULT_PROPORTIONS, ...settings.proportions }
+  const rng = random || createRandom(settings.seed)
+  const stance = settings.stance ?? proportions.hipWidth
+
+  const points = buildSkeleton(pose, proportions, stance)
+  const yaw = toRadians(typeof settings.view === 'number' ? settings.view : CAMERA_VIEWS[settings.view] ?? 0)
+  const ground = Math.min(points.left_ankle.u, points.right_ankle.u)
+
+  // Image x: the figure's left is the viewer's right when facing the camera; depth is toward the camera
+  const project = ({ f, l, u }) => ({
+    x: settings.width / 2 + settings.scale * (l * Math.cos(yaw) - f * Math.sin(yaw)),
+    y: settings.floor - settings.scale * (u - ground),
+    depth: l * Math.sin(yaw) + f * Math.cos(yaw)
+  })
+
+  // Turned sideways, the far limbs are behind the body and detected less confidently
+  const hiddenDepth = -proportions.hipWidth * 0.25
+  return MOVENET_KEYPOINTS.map(name => {
+    const { x, y, depth } = project(points[name])
+    const dropped = settings.drop.includes(name) || rng.next() < settings.dropRate
+    return {
+      name,
+      x: x + settings.noise * rng.gaussian(),
+      y: y + settings.noise * rng.gaussian(),
+      score: dropped ? 0.1 : depth < hiddenDepth ? settings.farScore : settings.score
+    }
+  })
+}
+
+// Joint angles between two poses; per-side overrides are blended too
+function blendPoses(from, to, amount) {
+  const blendAngles = (a, b) => {
+    const result = {}
+    new Set([...Object.keys(a), ...Object.keys(b)]).forEach(key => {
+      if (key === 'left' || key === 'right') return
+      const start = a[key] ?? STANDING[key]
+      const end = b[key] ?? STANDING[key]
+      result[key] = start + (end - start) * amount
+    })
+    return result
+  }
+  return {
+    ...blendAngles({ ...STANDING, ...from }, { ...STANDING, ...to }),
+    left: blendAngles(sideAngles(from, 'left'), sideAngles(to, 'left')),
+    right: blendAngles(sideAngles(from, 'right'), sideAngles(to, 'right'))
+  }
+}
+
+/**
+ * Generate frames from a joint-angle script
+ * Poses are eased between keyframes; before the first and after the last the pose is held.
+ * @param {Array<Object>} keyframes - { t (ms), pose } in time order
+ * @param {Object} [options] - generatePose options plus fps (default 30) and duration (ms)
+ * @returns {Array<Object>} { t, keypoints } per frame
+ */
+export function generateSequence(keyframes, options = {}) {
+  const { fps = 30, duration = keyframes[keyframes.length - 1].t, ...poseOptions } = options
+  const random = createRandom(poseOptions.seed ?? DEFAULT_OPTIONS.seed)
+  const frames = []
+
+  for (let t = 0; t <= duration; t += 1000 / fps) {
+    const next = keyframes.findIndex(keyframe => keyframe.t > t)
+    let pose
+    if (next === -1) {
+      pose = keyframes[keyframes.length - 1].pose
+    } else if (next === 0) {
+      pose = keyframes[0].pose
+    } else {
+      const a = keyframes[next - 1]
+      const b = keyframes[next]
+      const progress = (t - a.t) / (b.t - a.t)
+      pose = blendPoses(a.pose, b.pose, (1 - Math.cos(Math.PI * progress)) / 2)
+    }
+    frames.push({ t: Math.round(t), keypoints: generatePose(pose, poseOptions, random) })
+  }
+  return frames
+}
+
+/**
+ * Keyframes for a set of reps between a top and a bottom pose
+ * @param {Object} top - Pose at the start and end of each rep
+ * @param {Object} bottom - Pose at the turnaround
+ * @param {Object} [options]
+ * @param {number} [options.reps] - Number of reps (default 5)
+ * @param {Object} [options.tempo] - { eccentric, bottomPause, concentric, topPause } in ms
+ * @param {number} [options.lead] - ms standing at the top before the first rep
+ * @returns {Array<Object>} Keyframes for generateSequence()
+ */
+export function repKeyframes(top, bottom, options = {}) {
+  const { reps = 5, lead = 1000 } = options
+  const tempo = { eccentric: 1500, bottomPause: 300, concentric: 1000, topPause: 700, ...options.tempo }
+  const keyframes = [{ t: 0, pose: top }, { t: lead, pose: top }]
+  let t = lead
+  for (let rep = 0; rep < reps; rep++) {
+    t += tempo.eccentric
+    keyframes.push({ t, pose: bottom })
+    t += tempo.bottomPause
+    keyframes.push({ t, pose: bottom })
+    t += tempo.concentric
+    keyframes.push({ t, pose: top })
+    t += tempo.topPause
+    keyframes.push({ t, pose: top })
+  }
+  return keyframes
+}
+
+/**
+ * Package generated frames as a session trace, for replay or scripts/analyze-trace.js
+ * @param {Array<Object>} frames - From generateSequence()
+ * @param {Object} settings - { exercise, tempo, holdTarget }
+ */
+export function framesToTrace(frames, { exercise, tempo = null, holdTarget = null }) {
+  // Generated keypoints are in MoveNet's format
+  const recorder = createTraceRecorder({ exercise, poseModel: 'movenet-lightning', tempo, holdTarget })
+  frames.forEach(frame => recorder.addFrame(frame.t, frame.keypoints))
+  return recorder.finish()
+}
@@ -0,0 +1,102 @@
+import * as tf from '@tensorflow/tfjs'
+import { createPoseDetector, getKeypointNames } from './poseModels'
+
+/**
+ * Pose inference shared by the pose worker and the main-thread fallback
+ *
+ * Keypoints cross the worker boundary as a flat Float32Array of
+ * [x, y, score] triples in the model's keypoint order, which can be transferred
+ * without copying; decodeKeypoints() turns them back into named keypoints.
+ */
+
+export const KEYPOINT_STRIDE = 3 // x, y, score
+
+// Of the backends loadDetector tries, the ones worth running off the main thread: a worker
+// stuck on the CPU backend is slower than main-thread WebGL
+export const ACCELERATED_BACKENDS = ['webgl']
+
+/**
+ * Pick a TensorFlow.js backend (WebGL, falling back to CPU) and load the model's detector
+ * @returns {Promise<Object>} pose-detection PoseDetector
+ */
+export async function loadDetector(modelId) {
+  // Try to set backend to WebGL, fall back to CPU if it fails
+  // Suppress console warnings during backend selection
+  const originalWarn = console.warn
+  console.warn = () => {} // Temporarily suppress warnings
+
+  let backendSet = false
+  const backends = ['webgl', 'cpu']
+
+  for (const backend of backends) {
+    try {
+      // setBackend resolves false instead of throwing when the backend can't start (no WebGL context)
+      if (!(await tf.setBackend(backend))) continue
+      await tf.ready()
+      backendSet = true
+      break
+    } catch {
+      // Silently try next backend
+      continue
+    }
+  }
+
+  // Restore console.warn
+  console.warn = originalWarn
+
+  if (!backendSet) {
+    // If all backends failed, just wait for default
+    await tf.ready()
+  }
+
+  return createPoseDetector(modelId)
+}
+
+/**
+ * Name of the backend TensorFlow.js ended up on ('webgl', 'cpu', ...)
+ * @returns {string}
+ */
+export function getActiveBackend() {
+  return tf.getBackend()
+}
+
+/**
+ * Run the detector on one frame
+ * MultiPose can return several people - the most confident one is followed
+ * @param {Object} detector - pose-detection PoseDetector
+ * @param {*} input - Video element, ImageBitmap or anything else the detector accepts
+ * @returns {Promise<Float32Array|null>} Packed keypoints, or null if nobody is in frame
+ */
+export async function estimateKeypoints(detector, input) {
+  const poses = await detector.estimatePoses(input)
+  if (!poses || poses.length === 0) return null
+
+  const pose = poses.reduce((best, candidate) => ((candidate.score || 0) > (best.score || 0) ? candidate : best))
+  const packed = new Float32Array(pose.keypoints.length * KEYPOINT_STRIDE)
+  pose.keypoints.forEach((kp, idx) => {
+    packed[idx * KEYPOINT_STRIDE] = kp.x || 0
+    packed[idx * KEYPOINT_STRIDE + 1] = kp.y || 0
+    packed[idx * KEYPOINT_STRIDE + 2] = kp.score || 0
+  })
+  return packed
+}
+
+/**
+ * Unpack keypoints into { x, y, score, name } objects
+ * @param {Float32Array} packed - From estimateKeypoints()
+ * @param {string} modelId - Model that produced them, for the keypoint names
+ * @returns {Array<Object>}
+ */
+export function decodeKeypoints(packed, modelId) {
+  const names = getKeypointNames(modelId)
+  const keypoints = []
+  for (let idx = 0; idx * KEYPOINT_STRIDE < packed.length; idx++) {
+    keypoints.push({
+      x: packed[idx * KEYPOINT_STRIDE],
+      y: packed[idx * KEYPOINT_STRIDE + 1],
+      score: packed[idx * KEYPOINT_STRIDE + 2],
+      name: names[idx] || `keypoint_${idx}` // Always assign name based on index
+    })
+  }
+  return keypoints
+}
@@ -0,0 +1,91 @@
+import * as poseDetection from '@tensorflow-models/pose-detection'
+
+/**
+ * Selectable pose models
+ *
+ * Every model reports keypoints by name ('left_knee', ...), so the rest of the
+ * app only sees names. MoveNet tracks 17 points; BlazePose tracks 33, adding the
+ * hands and feet (heels and toes), which checks like heels lifting need.
+ */
+
+export const POSE_MODEL = {
+  LIGHTNING: 'movenet-lightning',
+  THUNDER: 'movenet-thunder',
+  MULTIPOSE: 'movenet-multipose',
+  BLAZEPOSE: 'blazepose'
+}
+
+export const DEFAULT_POSE_MODEL = POSE_MODEL.LIGHTNING
+
+// Detector settings per model
+const MODEL_SPECS = {
+  [POSE_MODEL.LIGHTNING]: {
+    model: poseDetection.SupportedModels.MoveNet,
+    config: { modelType: poseDetection.movenet.modelType.SINGLEPOSE_LIGHTNING, enableSmoothing: true }
+  },
+  [POSE_MODEL.THUNDER]: {
+    model: poseDetection.SupportedModels.MoveNet,
+    config: { modelType: poseDetection.movenet.modelType.SINGLEPOSE_THUNDER, enableSmoothing: true }
+  },
+  [POSE_MODEL.MULTIPOSE]: {
+    model: poseDetection.SupportedModels.MoveNet,
+    config: { modelType: poseDetection.movenet.modelType.MULTIPOSE_LIGHTNING, enableSmoothing: true, enableTracking: true }
+  },
+  [POSE_MODEL.BLAZEPOSE]: {
+    model: poseDetection.SupportedModels.BlazePose,
+    config: { runtime: 'tfjs', modelType: 'full', enableSmoothing: true }
+  }
+}
+
+/**
+ * Options for the model picker, fastest first
+ */
+export const POSE_MODEL_OPTIONS = [
+  { value: POSE_MODEL.LIGHTNING, label: 'Lightning', description: 'Fastest, 17 points', icon: '⚡' },
+  { value: POSE_MODEL.THUNDER, label: 'Thunder', description: 'More accurate, 17 points', icon: '🎯' },
+  { value: POSE_MODEL.MULTIPOSE, label: 'MultiPose', description: 'Picks you out of a group', icon: '👥' },
+  { value: POSE_MODEL.BLAZEPOSE, label: 'BlazePose', description: '33 points with hands and feet', icon: '🦶' }
+]
+
+function getSpec(modelId) {
+  return MODEL_SPECS[modelId] || MODEL_SPECS[DEFAULT_POSE_MODEL]
+}
+
+/**
+ * Create the pose detector for a model
+ * @returns {Promise<Object>} pose-detection PoseDetector
+ */
+export function createPoseDetector(modelId) {
+  const { model, config } = getSpec(modelId)
+  return poseDetection.createDetector(model, config)
+}
+
+/**
+ * Keypoint names in the order the model reports them
+ * @returns {Array<string>}
+ */
+export function getKeypointNames(modelId) {
+  const indexByName = poseDetection.util.getKeypointIndexByName(getSpec(modelId).model)
+  const names = []
+  Object.entries(indexByName).forEach(([name, index]) => {
+    names[index] = name
+  })
+  return names
+}
+
+/**
+ * Skeleton edges as pairs of keypoint names, for drawing the overlay
+ * @returns {Array<Array<string>>}
+ */
+export function getSkeleton(modelId) {
+  const names = getKeypointNames(modelId)
+  return poseDetection.util.getAdjacentPairs(getSpec(modelId).model)
+    .map(([from, to]) => [names[from], names[to]])
+}
+
+/**
+ * Whether the model tracks a point, by generic or sided name ('heel', 'left_heel')
+ */
+export function hasKeypoint(modelId, name) {
+  return getKeypointNames(modelId).some(keypointName => keypointName === name || keypointName.endsWith(`_${name}`))
+}
@@ -0,0 +1,246 @@
+/**
+ * Generic rep-counting state machine
+ *
+ * Follows a single primary signal per exercise (knee angle, elbow angle, ...)
+ * through top -> descending -> bottom -> ascending -> top.
+ * "top" is the start/rest position and "bottom" the turnaround point, so the
+ * signal may rise or fall during the working phase (e.g. a press extends the elbow).
+ *
+ * Hysteresis keeps jitter near a threshold from flipping phases, and a rep only
+ * counts if the signal travelled at least `minRange` units.
+ *
+ * Each rep is timed per phase and reported as a tempo: eccentric, bottom pause,
+ * concentric and top pause (the standard 3-1-1-0 order). For exercises whose
+ * first phase is the lift (curls, presses) `firstPhase: 'concentric'` maps the
+ * phases the other way round.
+ */
+
+export const REP_PHASE = {
+  TOP: 'top',
+  DESCENDING: 'descending',
+  BOTTOM: 'bottom',
+  ASCENDING: 'ascending'
+}
+
+export const REP_QUALITY = {
+  GOOD: 'good',
+  POOR: 'poor'
+}
+
+const DEFAULT_HYSTERESIS = 0.15 // Fraction of the top-bottom span
+const DEFAULT_MIN_RANGE_RATIO = 0.5 // Fraction of the top-bottom span
+
+/**
+ * Create a rep counter for one primary signal
+ * @param {Object} config
+ * @param {number} config.top - Signal value at the start/rest position
+ * @param {number} config.bottom - Signal value at the turnaround point
+ * @param {number} [config.hysteresis] - Phase-change margin, as a fraction of |top - bottom|
+ * @param {number} [config.minRange] - Minimum range of motion in signal units for a rep to count
+ * @param {string} [config.firstPhase='eccentric'] - Whether leaving the top is the 'eccentric' or 'concentric' phase
+ * @returns {Object} { update, reset, getPhase }
+ */
+export function createRepCounter(config) {
+  const { top, bottom, firstPhase = 'eccentric' } = config
+  const span = Math.abs(top - bottom) || 1
+  const hysteresis = config.hysteresis ?? DEFAULT_HYSTERESIS
+  const minRange = config.minRange ?? span * DEFAULT_MIN_RANGE_RATIO
+
+  let phase = REP_PHASE.TOP
+  let rep = null
+  let lastRepEndedAt = null
+
+  // 0 at the top position, 1 at the bottom position (can overshoot either end)
+  const progressOf = (value) => (top - value) / (top - bottom || 1)
+
+  const startRep = (value, timestamp) => ({
+    startedAt: timestamp,
+    restBefore: lastRepEndedAt !== null ? timestamp - lastRepEndedAt : null,
+    turnedAt: null, // Reached the bottom (or turned around short of it)
+    leftBottomAt: null, // Started back toward the top
+    minValue: value,
+    maxValue: value,
+    peakProgress: progressOf(value),
+    reachedBottom: false,
+    formOk: true,
+    side: null
+  })
+
+  // Phase durations in ms, named by tempo position
+  const getTempo = (timestamp) => {
+    const turnedAt = rep.turnedAt ?? timestamp
+    const leftBottomAt = rep.leftBottomAt ?? turnedAt
+    const away = turnedAt - rep.startedAt
+    const turnaround = leftBottomAt - turnedAt
+    const back = timestamp - leftBottomAt
+    return firstPhase === 'concentric'
+      ? { eccentric: back, bottomPause: rep.restBefore, concentric: away, topPause: turnaround }
+      : { eccentric: away, bottomPause: turnaround, concentric: back, topPause: rep.restBefore }
+  }
+
+  const finishRep = (timestamp) => {
+    const range = rep.maxValue - rep.minValue
+    const completed = range >= minRange
+    let result = null
+    if (completed) {
+      const tempo = getTempo(timestamp)
+      result = {
+        timestamp,
+        startedAt: rep.startedAt,
+        duration: timestamp - rep.startedAt,
+        range,
+        reachedBottom: rep.reachedBottom,
+        formQuality: rep.reachedBottom && rep.formOk ? REP_QUALITY.GOOD : REP_QUALITY.POOR,
+        side: rep.side,
+        tempo,
+        // Working time from leaving the top to getting back (excludes rest at the top)
+        timeUnderTension: timestamp - rep.startedAt
+      }
+      lastRepEndedAt = timestamp
+    }
+    rep = null
+    return result
+  }
+
+  // The working phase turns around: bottom reached or direction reversed
+  const markTurn = (timestamp, side) => {
+    if (rep.turnedAt === null) rep.turnedAt = timestamp
+    if (side) rep.side = side
+  }
+
+  /**
+   * Feed one signal sample
+   * @param {number} value - Primary signal value
+   * @param {number} timestamp - Sample time in ms
+   * @param {boolean} [formOk=true] - Whether form was acceptable on this frame; only frames
+   *   at the bottom position grade the rep
+   * @param {string} [side] - Working side on this frame (e.g. the front leg of a lunge);
+   *   the side seen at the turnaround is recorded on the rep
+   * @returns {Object|null} Completed rep, or null
+   *   { timestamp, startedAt, duration, range, reachedBottom, formQuality, side, tempo, timeUnderTension }
+   *   tempo is { eccentric, bottomPause, concentric, topPause } in ms (a pause is null if unknown)
+   */
+  const update = (value, timestamp, formOk = true, side = null) => {
+    if (value === null || value === undefined || Number.isNaN(value)) return null
+
+    const progress = progressOf(value)
+
+    if (phase === REP_PHASE.TOP) {
+      if (progress > hysteresis) {
+        phase = REP_PHASE.DESCENDING
+        rep = startRep(value, timestamp)
+      } else {
+        return null
+      }
+    }
+
+    rep.minValue = Math.min(rep.minValue, value)
+    rep.maxValue = Math.max(rep.maxValue, value)
+    rep.peakProgress = Math.max(rep.peakProgress, progress)
+    // Form is graded at the turnaround - on the way down and up joints pass through
+    // angles that would be faults if held (hips ahead of the knees early in a squat)
+    if (!formOk && progress >= 1 - hysteresis) rep.formOk = false
+
+    switch (phase) {
+      case REP_PHASE.DESCENDING:
+        if (progress >= 1) {
+          phase = REP_PHASE.BOTTOM
+          rep.reachedBottom = true
+          markTurn(timestamp, side)
+        } else if (progress <= hysteresis) {
+          // Back at the top without turning around - still a (partial) rep if it moved enough
+          phase = REP_PHASE.TOP
+          return finishRep(timestamp)
+        } else if (rep.peakProgress - progress > hysteresis) {
+          // Turned around short of the bottom
+          phase = REP_PHASE.ASCENDING
+          markTurn(timestamp, side)
+          rep.leftBottomAt = timestamp
+        }
+        return null
+      case REP_PHASE.BOTTOM:
+        if (progress < 1 - hysteresis) {
+          phase = REP_PHASE.ASCENDING
+          rep.leftBottomAt = timestamp
+        }
+        return null
+      case REP_PHASE.ASCENDING:
+        if (progress <= hysteresis) {
+          phase = REP_PHASE.TOP
+          return finishRep(timestamp)
+        }
+        if (progress >= 1) {
+          phase = REP_PHASE.BOTTOM
+          rep.reachedBottom = true
+          markTurn(timestamp, side)
+        }
+        return null
+      default:
+        return null
+    }
+  }
+
+  const reset = () => {
+    phase = REP_PHASE.TOP
+    rep = null
+    lastRepEndedAt = null
+  }
+
+  const getPhase = () => phase
+
+  return { update, reset, getPhase }
+}
+
+// Two sides moving together for at least this share of the shorter rep are one rep done with both limbs
+const PAIR_OVERLAP_RATIO = 0.5
+
+// Share of the shorter rep during which both reps were in progress
+const overlapRatio = (a, b) => {
+  const overlap = Math.min(a.timestamp, b.timestamp) - Math.max(a.startedAt, b.startedAt)
+  return overlap / (Math.min(a.duration, b.duration) || 1)
+}
+
+/**
+ * Rep counters for the left and right limb (curls, tricep extensions, high knees)
+ * Each side has its own state machine, so alternating and single-arm sets are counted per side.
+ * When both sides moved at the same time (PAIR_OVERLAP_RATIO), the second to finish is marked
+ * `paired` - it still counts for its side but not as a separate rep of the set.
+ * Alternating sides (high knees, alternating curls) barely overlap and are never paired.
+ * @param {Object} config - createRepCounter config
+ * @returns {Object} { update, reset, getPhase }
+ */
+export function createSidedRepCounter(config) {
+  const counters = { left: createRepCounter(config), right: createRepCounter(config) }
+  let lastRep = null
+
+  /**
+   * Feed one sample per side
+   * @param {Object} values - { left, right } signal values (null if that side isn't visible)
+   * @param {number} timestamp - Sample time in ms
+   * @param {boolean} [formOk=true] - Whether form was acceptable on this frame
+   * @returns {Array} Reps completed on this frame, each tagged with its side (and `paired`)
+   */
+  const update = (values, timestamp, formOk = true) => {
+    const completed = []
+    Object.entries(counters).forEach(([side, counter]) => {
+      const rep = counter.update(values[side], timestamp, formOk, side)
+      if (!rep) return
+      const paired = !!lastRep && !lastRep.paired && lastRep.side !== side &&
+        overlapRatio(rep, lastRep) >= PAIR_OVERLAP_RATIO
+      const tagged = { ...rep, side, paired }
+      lastRep = tagged
+      completed.push(tagged)
+    })
+    return completed
+  }
+
+  const reset = () => {
+    counters.left.reset()
+    counters.right.reset()
+    lastRep = null
+  }
+
+  const getPhase = () => ({ left: counters.left.getPhase(), right: counters.right.getPhase() })
+
+  return { update, reset, getPhase }
+}
@@ -0,0 +1,113 @@
+import { createRepCounter, createSidedRepCounter, REP_PHASE } from './repCounter'
+import { createSequenceCounter } from './sequenceCounter'
+import { getRepSignal, getCadenceConfig, getSequenceConfig } from './exerciseRules'
+import { createCadenceTracker } from './cadence'
+import { createAsymmetryTracker } from './asymmetry'
+import { parseTempo, checkTempo, checkTurnPause, checkDrive, checkControl } from './tempo'
+import { createIssueGate } from './issueGate'
+import { SEVERITY } from './formRules'
+
+/**
+ * Rep tracking for one exercise, from per-frame form analysis
+ *
+ * Picks the counter the exercise's definition calls for: a rep counter on its
+ * primary signal (knee angle, elbow angle, ...), one per side for exercises that
+ * count each arm on its own (curls), or the phase sequence of a compound movement
+ * (burpees). Single-signal reps carry the left/right asymmetry seen while moving,
+ * and cardio moves the cadence when each rep finished. Shared by usePresage and
+ * the headless trace analysis, so both count the same reps.
+ *
+ * A rep is graded poor only for a warning or critical issue that has persisted (the
+ * same gate as spoken corrections, issueGate.js) at the bottom of the rep: a rule
+ * flickering on for a frame, or one passed through on the way down, doesn't spoil
+ * an otherwise clean rep.
+ */
+
+/**
+ * Create a rep tracker
+ * @param {string} exercise - Exercise id
+ * @returns {Object|null} { update, reset }, or null if the exercise isn't counted in reps
+ */
+export function createRepTracker(exercise) {
+  const signal = getRepSignal(exercise)
+  const sequence = getSequenceConfig(exercise)
+  if (!signal && !sequence) return null
+
+  const counter = sequence
+    ? createSequenceCounter(sequence)
+    : signal.sides ? createSidedRepCounter(signal) : createRepCounter(signal)
+  const cadenceConfig = getCadenceConfig(exercise)
+  const cadenceTracker = cadenceConfig ? createCadenceTracker(cadenceConfig) : null
+  const asymmetry = createAsymmetryTracker()
+  const issueGate = createIssueGate()
+
+  /**
+   * Feed one frame of form analysis
+   * @param {Object} formAnalysis - From the exercise's analyzer
+   * @param {number} timestamp - Frame time in ms
+   * @returns {Object} { completed, incomplete }
+   *   completed: reps counted on this frame, with `cadence` for cardio moves
+   *   incomplete: a compound movement's cycle that ended with a phase skipped (not counted), or null
+   */
+  const update = (formAnalysis, timestamp) => {
+    const confirmedIssues = issueGate.update(formAnalysis.issues || [], timestamp)
+    const formOk = !confirmedIssues.some(issue => issue.severity !== SEVERITY.INFO)
+
+    let completed
+    if (sequence) {
+      const cycle = counter.update(formAnalysis, timestamp, formOk)
+      if (!cycle?.complete) return { completed: [], incomplete: cycle }
+      completed = [cycle]
+    } else if (signal.sides) {
+      completed = counter.update(
+        { left: formAnalysis[signal.sides.left], right: formAnalysis[signal.sides.right] },
+        timestamp,
+        formOk
+      )
+    } else {
+      const rep = counter.update(formAnalysis[signal.metric], timestamp, formOk, formAnalysis.leadSide)
+      if (counter.getPhase() !== REP_PHASE.TOP) {
+        asymmetry.addFrame(formAnalysis.bilateral)
+      } else if (!rep) {
+        asymmetry.reset()
+      }
+      completed = rep ? [{ ...rep, asymmetry: asymmetry.endRep() }] : []
+    }
+
+    // A rep paired with the other arm's (both arms together) keeps the cadence of the first
+    return {
+      completed: completed.map(rep => (cadenceTracker && !rep.paired ? { ...rep, cadence: cadenceTracker.addRep(rep.timestamp) } : rep)),
+      incomplete: null
+    }
+  }
+
+  const reset = () => {
+    counter.reset()
+    cadenceTracker?.reset()
+    asymmetry.reset()
+    issueGate.reset()
+  }
+
+  return { update, reset }
+}
+
+/**
+ * Feedback key for the rep that just finished (null = nothing to say)
+ * A skipped phase of a compound movement or a partial rep (no lockout) first, then an
+ * uneven left/right side, a cadence drop, a skipped pause, a slow drive or rushed descent,
+ * then the prescribed tempo
+ * @param {Object|null} rep - Completed rep, or an incomplete compound cycle
+ * @param {Object|null} signal - The exercise's rep signal (getRepSignal)
+ * @param {string|null} tempo - Prescribed tempo, e.g. '3-1-1-0'
+ */
+export function getRepCueKey(rep, signal, tempo) {
+  if (!rep) return null
+  if (rep.skippedKey) return rep.skippedKey
+  if (!rep.reachedBottom && signal?.partialKey) return signal.partialKey
+  if (rep.asymmetry?.flagged) return rep.asymmetry.flagged.key
+  if (rep.cadence?.dropped) return 'cadence-drop'
+  return checkTurnPause(rep, signal) ||
+    checkDrive(rep, signal) ||
+    checkControl(rep, signal) ||
+    (tempo ? checkTempo(rep.tempo, parseTempo(tempo)) : null)
+}
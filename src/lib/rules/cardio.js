@@ -0,0 +1,260 @@
+import { SEVERITY, jointAngle, segmentAngle, offset, lineDeviation, minOf } from '../formRules'
+import { SIDE_VIEW, FRONT_VIEW } from './shared'
+import { STEP_UP_RULES } from './lowerBody'
+import { PLANK_RULES } from './core'
+
+/**
+ * Jumping jacks, high knees, butt kicks, cardio step-ups, burpees and mountain climbers.
+ * Reps here also feed the cadence check; burpees are counted as a sequence of phases,
+ * and plank jacks and cardio step-ups build on the plank and step-up definitions.
+ */
+
+// Cardio moves report cadence (cadence.js): reps per minute over a rolling window
+const CARDIO_CADENCE = { window: 10000, dropRatio: 0.75 }
+
+const STAY_TALL_RULE = {
+  id: 'stay-tall',
+  key: 'cardio-stay-tall',
+  severity: SEVERITY.WARNING,
+  priority: 70,
+  joint: 'torso',
+  measure: 'torsoLean',
+  target: { max: 20 },
+  when: { metric: 'torsoLean', gt: 20 }
+}
+
+/**
+ * Jumping jacks / star jumps (front view)
+ * The open/close cycle follows the arms sweeping from the sides to overhead;
+ * the feet should jump out wide at the same time.
+ * Checks: feet spread at the open position, arms reaching overhead (per rep)
+ */
+export const JUMPING_JACK_RULES = {
+  required: ['hip', 'shoulder', 'wrist'],
+  views: FRONT_VIEW,
+  metrics: {
+    // The lower of the two arms - both should reach overhead
+    armElevation: minOf(jointAngle('left_hip', 'left_shoulder', 'left_wrist'), jointAngle('right_hip', 'right_shoulder', 'right_wrist')),
+    // Ankle spread in hip widths: ~1 with feet together
+    ankleSpread: offset('left_ankle', 'right_ankle', 'x', { absolute: true, normalizeBy: ['left_hip', 'right_hip'] })
+  },
+  rules: [
+    {
+      id: 'feet-narrow',
+      key: 'jacks-feet-wider',
+      severity: SEVERITY.WARNING,
+      priority: 80,
+      joint: 'ankle',
+      measure: 'ankleSpread',
+      target: { min: 1.6 },
+      when: { all: [{ metric: 'armElevation', gt: 140 }, { metric: 'ankleSpread', lt: 1.6 }] }
+    }
+  ],
+  cues: [
+    { key: 'cardio-good-rhythm', when: { metric: 'armElevation', gt: 150 } }
+  ],
+  rep: { metric: 'armElevation', top: 40, bottom: 150, partialKey: 'jacks-arms-overhead' },
+  cadence: CARDIO_CADENCE
+}
+
+/**
+ * Plank jacks (facing the camera, in a plank)
+ * The feet jump out and back in like jumping jacks while the plank holds. Reps follow the
+ * ankle spread, which only shows from the front; the plank's sag and pike checks need the
+ * side, so they only run when the camera sees it.
+ */
+export const PLANK_JACK_RULES = {
+  required: ['shoulder', 'hip', 'ankle'],
+  views: FRONT_VIEW,
+  metrics: {
+    ...PLANK_RULES.metrics,
+    // Ankle spread in torso lengths: ~0.2 with the feet together
+    ankleSpread: offset('left_ankle', 'right_ankle', 'x', { absolute: true, normalizeBy: 'body' })
+  },
+  rules: PLANK_RULES.rules
+    .filter(rule => rule.severity !== SEVERITY.INFO)
+    .map(rule => ({ ...rule, views: SIDE_VIEW })),
+  cues: [
+    { key: 'cardio-good-rhythm', when: { metric: 'ankleSpread', gt: 0.8 } }
+  ],
+  rep: { metric: 'ankleSpread', top: 0.4, bottom: 0.8, partialKey: 'jacks-feet-wider' },
+  cadence: CARDIO_CADENCE
+}
+
+/**
+ * High knees - each knee drives up to hip height, legs alternate
+ */
+export const HIGH_KNEES_RULES = {
+  required: ['shoulder', 'hip', 'knee'],
+  views: SIDE_VIEW,
+  metrics: {
+    // 180° standing, 90° with the thigh parallel to the floor
+    leftHipFlexion: jointAngle('left_shoulder', 'left_hip', 'left_knee'),
+    rightHipFlexion: jointAngle('right_shoulder', 'right_hip', 'right_knee'),
+    kneeLift: minOf(jointAngle('left_shoulder', 'left_hip', 'left_knee'), jointAngle('right_shoulder', 'right_hip', 'right_knee')),
+    torsoLean: segmentAngle('hip', 'shoulder')
+  },
+  rules: [STAY_TALL_RULE],
+  cues: [
+    { key: 'cardio-good-rhythm', when: { metric: 'kneeLift', lt: 100 } }
+  ],
+  rep: {
+    metric: 'kneeLift',
+    sides: { left: 'leftHipFlexion', right: 'rightHipFlexion' },
+    top: 160,
+    bottom: 105,
+    partialKey: 'high-knees-higher'
+  },
+  cadence: CARDIO_CADENCE
+}
+
+/**
+ * Butt kicks - heels kick up toward the glutes, legs alternate
+ */
+export const BUTT_KICK_RULES = {
+  required: ['hip', 'knee', 'ankle'],
+  views: SIDE_VIEW,
+  metrics: {
+    leftKneeFlexion: jointAngle('left_hip', 'left_knee', 'left_ankle'),
+    rightKneeFlexion: jointAngle('right_hip', 'right_knee', 'right_ankle'),
+    kneeBend: minOf(jointAngle('left_hip', 'left_knee', 'left_ankle'), jointAngle('right_hip', 'right_knee', 'right_ankle')),
+    torsoLean: segmentAngle('hip', 'shoulder')
+  },
+  rules: [STAY_TALL_RULE],
+  cues: [
+    { key: 'cardio-good-rhythm', when: { metric: 'kneeBend', lt: 60 } }
+  ],
+  rep: {
+    metric: 'kneeBend',
+    sides: { left: 'leftKneeFlexion', right: 'rightKneeFlexion' },
+    top: 155,
+    bottom: 65,
+    partialKey: 'butt-kicks-higher'
+  },
+  cadence: CARDIO_CADENCE
+}
+
+/**
+ * Step-ups as cardio - same checks, plus cadence
+ */
+export const STEP_UP_CARDIO_RULES = {
+  ...STEP_UP_RULES,
+  cadence: CARDIO_CADENCE
+}
+
+// Burpee postures, as conditions on the BURPEE_RULES metrics
+const STANDING = { all: [{ metric: 'kneeAngle', gt: 150 }, { metric: 'torsoLean', lt: 25 }, { metric: 'wristHeight', gt: 0 }] }
+const CROUCHED = { all: [{ metric: 'kneeAngle', lt: 110 }, { metric: 'bodyLevel', gt: 40 }] }
+const PLANK_POSITION = { all: [{ metric: 'bodyLevel', lt: 30 }, { metric: 'kneeAngle', gt: 140 }, { metric: 'elbowAngle', gt: 140 }] }
+const PUSH_UP_BOTTOM = { all: [{ metric: 'bodyLevel', lt: 30 }, { metric: 'kneeAngle', gt: 140 }, { metric: 'elbowAngle', lt: 110 }] }
+const JUMP_REACH = { all: [{ metric: 'kneeAngle', gt: 150 }, { metric: 'torsoLean', lt: 25 }, { metric: 'wristHeight', lt: -0.3 }] }
+
+const BURPEE_PHASES = [
+  { id: 'squat', when: CROUCHED, skipKey: 'burpee-skipped-squat' },
+  { id: 'plank', when: PLANK_POSITION, skipKey: 'burpee-skipped-plank' },
+  { id: 'push-up', when: PUSH_UP_BOTTOM, optional: true },
+  { id: 'jump-in', when: CROUCHED, skipKey: 'burpee-skipped-jump-in' },
+  { id: 'jump', when: JUMP_REACH, skipKey: 'burpee-skipped-jump' }
+]
+
+/**
+ * Burpee (side view)
+ * Counted as a sequence (sequenceCounter.js) instead of a single signal:
+ * squat down, kick back to a plank, optional push-up, jump the feet in, jump up
+ * reaching overhead, then stand. A rep counts only if every required phase shows up.
+ * Checks: hips sagging in the plank; a skipped phase is named when the rep ends
+ */
+export const BURPEE_RULES = {
+  required: ['shoulder', 'hip', 'knee', 'ankle'],
+  views: SIDE_VIEW,
+  metrics: {
+    kneeAngle: jointAngle('hip', 'knee', 'ankle'),
+    torsoLean: segmentAngle('hip', 'shoulder'),
+    // 0° with the body horizontal (plank), 90° standing
+    bodyLevel: segmentAngle('shoulder', 'ankle', 'horizontal'),
+    hipLine: lineDeviation('shoulder', 'ankle', 'hip'),
+    elbowAngle: jointAngle('shoulder', 'elbow', 'wrist'),
+    // The higher wrist relative to its shoulder, in torso lengths (negative = above the shoulder)
+    wristHeight: minOf(
+      offset('left_shoulder', 'left_wrist', 'y', { normalizeBy: ['left_shoulder', 'left_hip'] }),
+      offset('right_shoulder', 'right_wrist', 'y', { normalizeBy: ['right_shoulder', 'right_hip'] })
+    )
+  },
+  rules: [
+    {
+      id: 'plank-sag',
+      key: 'burpee-hips-sagging',
+      severity: SEVERITY.WARNING,
+      priority: 70,
+      joint: 'hip',
+      measure: 'hipLine',
+      target: { min: -0.1 },
+      when: { all: [{ metric: 'bodyLevel', lt: 30 }, { metric: 'hipLine', lt: -0.1 }] }
+    }
+  ],
+  cues: [],
+  sequence: { rest: STANDING, phases: BURPEE_PHASES },
+  cadence: CARDIO_CADENCE
+}
+
+/**
+ * Dumbbell burpee - same sequence, but holding the weights the jump is optional
+ */
+export const DUMBBELL_BURPEE_RULES = {
+  ...BURPEE_RULES,
+  sequence: {
+    rest: STANDING,
+    phases: BURPEE_PHASES.map(phase => (phase.id === 'jump' ? { ...phase, optional: true } : phase))
+  }
+}
+
+/**
+ * Mountain climber (side view, in a plank on the hands)
+ * Knees drive toward the chest alternately, each leg counted as one side.
+ * Checks: hips piking above the shoulders or sagging toward the floor
+ */
+export const MOUNTAIN_CLIMBER_RULES = {
+  required: ['shoulder', 'hip', 'knee'],
+  views: SIDE_VIEW,
+  metrics: {
+    // ~175° with the leg back in the plank, under 100° with the knee driven in
+    leftHipFlexion: jointAngle('left_shoulder', 'left_hip', 'left_knee'),
+    rightHipFlexion: jointAngle('right_shoulder', 'right_hip', 'right_knee'),
+    kneeDrive: minOf(jointAngle('left_shoulder', 'left_hip', 'left_knee'), jointAngle('right_shoulder', 'right_hip', 'right_knee')),
+    // Hip drop below the shoulders in torso lengths: ~0.3 in a plank on the hands
+    hipDrop: offset('shoulder', 'hip', 'y', { normalizeBy: ['shoulder', 'hip'] })
+  },
+  rules: [
+    {
+      id: 'hips-piked',
+      key: 'climber-hips-down',
+      severity: SEVERITY.WARNING,
+      priority: 80,
+      joint: 'hip',
+      measure: 'hipDrop',
+      target: { min: 0, max: 0.55 },
+      when: { metric: 'hipDrop', lt: 0 }
+    },
+    {
+      id: 'hips-sagging',
+      key: 'climber-hips-up',
+      severity: SEVERITY.WARNING,
+      priority: 80,
+      joint: 'hip',
+      measure: 'hipDrop',
+      target: { min: 0, max: 0.55 },
+      when: { metric: 'hipDrop', gt: 0.55 }
+    }
+  ],
+  cues: [
+    { key: 'cardio-good-rhythm', when: { metric: 'kneeDrive', lt: 100 } }
+  ],
+  rep: {
+    metric: 'kneeDrive',
+    sides: { left: 'leftHipFlexion', right: 'rightHipFlexion' },
+    top: 150,
+    bottom: 100,
+    partialKey: 'climber-knees-in'
+  },
+  cadence: CARDIO_CADENCE
+}
@@ -0,0 +1,373 @@
+import { SEVERITY, jointAngle, segmentAngle, offset, lineDeviation } from '../formRules'
+import { SIDE_VIEW, FRONT_VIEW } from './shared'
+
+/**
+ * Planks, floor core work (crunches, leg raises, dead bugs, twists) and hollow body /
+ * V-sit holds. Planks and the hollow positions are timed against a hold band; the floor
+ * work is mostly filmed from the side with the body lying down.
+ */
+
+/**
+ * Plank (side view)
+ * Checks: shoulder-hip-ankle line - hips sagging below it or piked above it.
+ * Slight deviations are informational and keep the hold timer running;
+ * a real sag or pike pauses it.
+ */
+export const PLANK_RULES = {
+  required: ['shoulder', 'hip', 'ankle'],
+  views: SIDE_VIEW,
+  metrics: {
+    bodyAngle: jointAngle('shoulder', 'hip', 'ankle'),
+    // Hip distance from the shoulder-ankle line relative to body length: + piked, - sagging
+    hipLine: lineDeviation('shoulder', 'ankle', 'hip')
+  },
+  rules: [
+    {
+      id: 'hip-sag',
+      key: 'plank-hips-sagging',
+      severity: SEVERITY.CRITICAL,
+      priority: 100,
+      joint: 'hip',
+      measure: 'hipLine',
+      target: { min: -0.05, max: 0.06 },
+      when: { metric: 'hipLine', lt: -0.1 }
+    },
+    {
+      id: 'hip-pike',
+      key: 'plank-hips-too-high',
+      severity: SEVERITY.WARNING,
+      priority: 90,
+      joint: 'hip',
+      measure: 'hipLine',
+      target: { min: -0.05, max: 0.06 },
+      when: { metric: 'hipLine', gt: 0.12 }
+    },
+    {
+      id: 'hip-sag-slight',
+      key: 'plank-hips-up-slightly',
+      severity: SEVERITY.INFO,
+      priority: 30,
+      joint: 'hip',
+      measure: 'hipLine',
+      target: { min: -0.05, max: 0.06 },
+      when: { metric: 'hipLine', gte: -0.1, lt: -0.05 }
+    },
+    {
+      id: 'hip-pike-slight',
+      key: 'plank-hips-down-slightly',
+      severity: SEVERITY.INFO,
+      priority: 20,
+      joint: 'hip',
+      measure: 'hipLine',
+      target: { min: -0.05, max: 0.06 },
+      when: { metric: 'hipLine', gt: 0.06, lte: 0.12 }
+    }
+  ],
+  cues: [
+    { key: 'plank-good-line', when: { metric: 'hipLine', gte: -0.05, lte: 0.06 } }
+  ],
+  // Wide enough that slight (informational) deviations don't pause the timer - the rules do that
+  hold: { metric: 'bodyAngle', min: 150, max: 180 }
+}
+
+/**
+ * Side plank (lateral view - facing the camera)
+ * Checks: hips dropping toward the floor below the shoulder-ankle line, or pushed too high
+ */
+export const SIDE_PLANK_RULES = {
+  required: ['shoulder', 'hip', 'ankle'],
+  views: FRONT_VIEW,
+  metrics: {
+    bodyAngle: jointAngle('shoulder', 'hip', 'ankle'),
+    hipLine: lineDeviation('shoulder', 'ankle', 'hip')
+  },
+  rules: [
+    {
+      id: 'hip-drop',
+      key: 'side-plank-hips-dropping',
+      severity: SEVERITY.CRITICAL,
+      priority: 100,
+      joint: 'hip',
+      measure: 'hipLine',
+      target: { min: -0.05, max: 0.08 },
+      when: { metric: 'hipLine', lt: -0.1 }
+    },
+    {
+      id: 'hip-too-high',
+      key: 'side-plank-hips-too-high',
+      severity: SEVERITY.WARNING,
+      priority: 80,
+      joint: 'hip',
+      measure: 'hipLine',
+      target: { min: -0.05, max: 0.08 },
+      when: { metric: 'hipLine', gt: 0.15 }
+    },
+    {
+      id: 'hip-drop-slight',
+      key: 'side-plank-lift-hips',
+      severity: SEVERITY.INFO,
+      priority: 30,
+      joint: 'hip',
+      measure: 'hipLine',
+      target: { min: -0.05, max: 0.08 },
+      when: { metric: 'hipLine', gte: -0.1, lt: -0.05 }
+    }
+  ],
+  cues: [
+    { key: 'side-plank-good-line', when: { metric: 'hipLine', gte: -0.05, lte: 0.08 } }
+  ],
+  hold: { metric: 'bodyAngle', min: 150, max: 180 }
+}
+
+/**
+ * Crunch (side view, lying on the back)
+ * Reps follow the shoulders lifting off the floor.
+ * Checks: rising past a crunch into a sit-up; a rep that barely lifts is a partial rep
+ */
+export const CRUNCH_RULES = {
+  required: ['shoulder', 'hip'],
+  views: SIDE_VIEW,
+  metrics: {
+    // 0° lying flat, ~30° at the top of a crunch
+    shoulderLift: segmentAngle('hip', 'shoulder', 'horizontal')
+  },
+  rules: [
+    {
+      id: 'sitting-up',
+      key: 'crunch-not-sit-up',
+      severity: SEVERITY.WARNING,
+      priority: 70,
+      joint: 'torso',
+      measure: 'shoulderLift',
+      target: { max: 45 },
+      when: { metric: 'shoulderLift', gt: 45 }
+    }
+  ],
+  cues: [
+    { key: 'crunch-good-squeeze', when: { metric: 'shoulderLift', gte: 25 } }
+  ],
+  rep: { metric: 'shoulderLift', top: 8, bottom: 25, firstPhase: 'concentric', partialKey: 'crunch-lift-higher' }
+}
+
+/**
+ * Bicycle crunch (side view) - knees drive in alternately, each leg counted as one side
+ * Checks: shoulders dropping back to the floor between reps
+ */
+export const BICYCLE_CRUNCH_RULES = {
+  required: ['shoulder', 'hip', 'knee'],
+  views: SIDE_VIEW,
+  metrics: {
+    // ~180° with the leg extended, ~90° or less with the knee pulled in
+    leftHipFlexion: jointAngle('left_shoulder', 'left_hip', 'left_knee'),
+    rightHipFlexion: jointAngle('right_shoulder', 'right_hip', 'right_knee'),
+    shoulderLift: segmentAngle('hip', 'shoulder', 'horizontal')
+  },
+  rules: [
+    {
+      id: 'shoulders-down',
+      key: 'bicycle-shoulders-up',
+      severity: SEVERITY.INFO,
+      priority: 40,
+      joint: 'torso',
+      measure: 'shoulderLift',
+      target: { min: 10 },
+      when: { metric: 'shoulderLift', lt: 10 }
+    }
+  ],
+  cues: [],
+  rep: {
+    metric: 'leftHipFlexion',
+    sides: { left: 'leftHipFlexion', right: 'rightHipFlexion' },
+    top: 150,
+    bottom: 95,
+    firstPhase: 'concentric'
+  }
+}
+
+/**
+ * Leg raise (side view, lying on the back or on a bench)
+ * Straight legs lift from the floor to vertical at the hip. The lower back tends to
+ * arch as the legs come down, so the cue near the floor is to keep it flat.
+ * Checks: knees bending to shorten the lever; a rep short of vertical is a partial rep
+ */
+export const LEG_RAISE_RULES = {
+  required: ['shoulder', 'hip', 'ankle'],
+  views: SIDE_VIEW,
+  metrics: {
+    // 180° lying flat, 90° with the legs vertical
+    hipFlexion: jointAngle('shoulder', 'hip', 'ankle'),
+    kneeAngle: jointAngle('hip', 'knee', 'ankle')
+  },
+  rules: [
+    {
+      id: 'knees-bent',
+      key: 'leg-raise-straight-legs',
+      severity: SEVERITY.INFO,
+      priority: 40,
+      joint: 'knee',
+      measure: 'kneeAngle',
+      target: { min: 140 },
+      when: { metric: 'kneeAngle', lt: 140 }
+    }
+  ],
+  cues: [
+    { key: 'leg-raise-back-flat', when: { metric: 'hipFlexion', gt: 145 } },
+    { key: 'leg-raise-good-height', when: { metric: 'hipFlexion', lte: 100 } }
+  ],
+  rep: { metric: 'hipFlexion', top: 165, bottom: 105, firstPhase: 'concentric', partialKey: 'leg-raise-higher' }
+}
+
+/**
+ * Dead bug (side view, lying on the back)
+ * Start with arms pointing at the ceiling and knees over the hips; one arm reaches overhead
+ * while the opposite leg extends. Each arm is counted as one side.
+ * Checks: same-side arm and leg extending together, arm and opposite leg out of sync
+ */
+export const DEAD_BUG_RULES = {
+  required: ['shoulder', 'hip', 'wrist', 'knee'],
+  views: SIDE_VIEW,
+  metrics: {
+    // ~90° pointing at the ceiling, ~180° reaching overhead
+    leftArmReach: jointAngle('left_hip', 'left_shoulder', 'left_wrist'),
+    rightArmReach: jointAngle('right_hip', 'right_shoulder', 'right_wrist'),
+    // ~90° in tabletop, ~170° with the leg extended
+    leftLegReach: jointAngle('left_shoulder', 'left_hip', 'left_knee'),
+    rightLegReach: jointAngle('right_shoulder', 'right_hip', 'right_knee')
+  },
+  rules: [
+    {
+      id: 'same-side',
+      key: 'dead-bug-opposite-limbs',
+      severity: SEVERITY.WARNING,
+      priority: 80,
+      joint: 'hip',
+      when: {
+        any: [
+          { all: [{ metric: 'leftArmReach', gt: 140 }, { metric: 'leftLegReach', gt: 140 }] },
+          { all: [{ metric: 'rightArmReach', gt: 140 }, { metric: 'rightLegReach', gt: 140 }] }
+        ]
+      }
+    },
+    {
+      // Arm is out but the opposite leg stayed tucked (or the other way round)
+      id: 'out-of-sync',
+      key: 'dead-bug-move-together',
+      severity: SEVERITY.INFO,
+      priority: 40,
+      joint: 'hip',
+      when: {
+        any: [
+          { all: [{ metric: 'leftArmReach', gt: 150 }, { metric: 'rightLegReach', lt: 120 }] },
+          { all: [{ metric: 'rightArmReach', gt: 150 }, { metric: 'leftLegReach', lt: 120 }] }
+        ]
+      }
+    }
+  ],
+  cues: [
+    {
+      key: 'dead-bug-good-reach',
+      when: {
+        any: [
+          { all: [{ metric: 'leftArmReach', gt: 150 }, { metric: 'rightLegReach', gt: 150 }] },
+          { all: [{ metric: 'rightArmReach', gt: 150 }, { metric: 'leftLegReach', gt: 150 }] }
+        ]
+      }
+    }
+  ],
+  rep: {
+    metric: 'leftArmReach',
+    sides: { left: 'leftArmReach', right: 'rightArmReach' },
+    top: 100,
+    bottom: 150
+  }
+}
+
+/**
+ * Russian twist (front view, seated)
+ * The hips stay square to the camera while the shoulders rotate, so the shoulder
+ * line looks narrower relative to the hips at each end of the twist.
+ * Checks: a twist that barely turns the shoulders is a partial rep
+ */
+export const RUSSIAN_TWIST_RULES = {
+  required: ['shoulder', 'hip'],
+  views: FRONT_VIEW,
+  metrics: {
+    // Shoulder width in hip widths: ~1.4 square to the camera, ~1 rotated 45°
+    shoulderSpread: offset('left_shoulder', 'right_shoulder', 'x', { absolute: true, normalizeBy: ['left_hip', 'right_hip'] })
+  },
+  rules: [],
+  cues: [
+    { key: 'russian-twist-good-rotation', when: { metric: 'shoulderSpread', lt: 1 } }
+  ],
+  rep: { metric: 'shoulderSpread', top: 1.3, bottom: 1.05, partialKey: 'russian-twist-rotate-more' }
+}
+
+/**
+ * Hollow body hold - shoulders and legs off the floor in a shallow banana shape
+ */
+export const HOLLOW_BODY_RULES = {
+  required: ['shoulder', 'hip', 'ankle'],
+  views: SIDE_VIEW,
+  metrics: {
+    bodyAngle: jointAngle('shoulder', 'hip', 'ankle')
+  },
+  rules: [
+    {
+      id: 'legs-too-high',
+      key: 'hollow-lower-legs',
+      severity: SEVERITY.WARNING,
+      priority: 60,
+      joint: 'hip',
+      measure: 'bodyAngle',
+      target: { min: 135, max: 175 },
+      when: { metric: 'bodyAngle', lt: 135 }
+    },
+    {
+      id: 'too-flat',
+      key: 'hollow-lift-shoulders',
+      severity: SEVERITY.WARNING,
+      priority: 60,
+      joint: 'hip',
+      measure: 'bodyAngle',
+      target: { min: 135, max: 175 },
+      when: { metric: 'bodyAngle', gt: 175 }
+    }
+  ],
+  cues: [],
+  hold: { metric: 'bodyAngle', min: 135, max: 175 }
+}
+
+/**
+ * V-sit - torso and legs both raised, folded at the hip
+ */
+export const V_SIT_RULES = {
+  required: ['shoulder', 'hip', 'knee'],
+  views: SIDE_VIEW,
+  metrics: {
+    hipAngle: jointAngle('shoulder', 'hip', 'knee')
+  },
+  rules: [
+    {
+      id: 'too-folded',
+      key: 'v-sit-open-up',
+      severity: SEVERITY.WARNING,
+      priority: 60,
+      joint: 'hip',
+      measure: 'hipAngle',
+      target: { min: 60, max: 110 },
+      when: { metric: 'hipAngle', lt: 60 }
+    },
+    {
+      id: 'too-open',
+      key: 'v-sit-lift-legs',
+      severity: SEVERITY.WARNING,
+      priority: 60,
+      joint: 'hip',
+      measure: 'hipAngle',
+      target: { min: 60, max: 110 },
+      when: { metric: 'hipAngle', gt: 110 }
+    }
+  ],
+  cues: [],
+  hold: { metric: 'hipAngle', min: 60, max: 110 }
+}
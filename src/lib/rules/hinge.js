@@ -0,0 +1,305 @@
+import { SEVERITY, jointAngle, segmentAngle, offset, lineDeviation } from '../formRules'
+import { SIDE_VIEW } from './shared'
+
+/**
+ * Hip hinge movements: RDL, deadlift, swing, bent-over and renegade rows, glute bridge.
+ * The hinges share one set of metrics and differ mostly in how much knee bend each
+ * tolerates before it reads as a squat.
+ */
+
+// Hip hinge core shared by the hinge family (RDL, deadlift, swing, bent-over row)
+const HINGE_METRICS = {
+  kneeAngle: jointAngle('hip', 'knee', 'ankle'),
+  backAngle: jointAngle('shoulder', 'hip', 'knee'),
+  // ~180° standing, folds as the hips push back
+  hipHingeAngle: jointAngle('shoulder', 'hip', 'ankle'),
+  // 90° upright, 0° with the torso parallel to the floor
+  torsoAngle: segmentAngle('hip', 'shoulder', 'horizontal')
+}
+
+// Each hinge allows its own amount of knee bend before it turns into a squat
+const hingeKneeRule = (minKneeAngle, key) => ({
+  id: 'knee-too-bent',
+  key,
+  severity: SEVERITY.WARNING,
+  priority: 40,
+  joint: 'knee',
+  measure: 'kneeAngle',
+  target: { min: minKneeAngle },
+  when: { metric: 'kneeAngle', lt: minKneeAngle }
+})
+
+/**
+ * Romanian deadlift
+ * Checks: hip hinge, neutral back, slight knee bend, shoulders over the bar
+ */
+export const ROMANIAN_DEADLIFT_RULES = {
+  required: ['hip', 'knee', 'ankle'],
+  views: SIDE_VIEW,
+  metrics: {
+    ...HINGE_METRICS,
+    // Shoulders ahead of the hips in torso lengths
+    shoulderForward: offset('hip', 'shoulder', 'x', { forward: true, normalizeBy: 'body' })
+  },
+  rules: [
+    {
+      id: 'back-rounding',
+      key: 'rdl-back-rounding',
+      severity: SEVERITY.CRITICAL,
+      priority: 100,
+      joint: 'back',
+      measure: 'backAngle',
+      target: { min: 165 },
+      when: { metric: 'backAngle', lt: 150 }
+    },
+    {
+      id: 'shoulders-forward',
+      key: 'rdl-shoulders-forward',
+      severity: SEVERITY.WARNING,
+      priority: 80,
+      joint: 'shoulder',
+      measure: 'shoulderForward',
+      target: { max: 0.25 },
+      when: { metric: 'shoulderForward', gt: 0.25 }
+    },
+    {
+      id: 'hinge-more',
+      key: 'rdl-hinge-more',
+      severity: SEVERITY.WARNING,
+      priority: 70,
+      joint: 'hip',
+      measure: 'hipHingeAngle',
+      target: { min: 120, max: 175 },
+      when: { metric: 'hipHingeAngle', gt: 175 }
+    },
+    {
+      id: 'too-deep',
+      key: 'rdl-too-deep',
+      severity: SEVERITY.WARNING,
+      priority: 60,
+      joint: 'hip',
+      measure: 'hipHingeAngle',
+      target: { min: 120, max: 175 },
+      when: { metric: 'hipHingeAngle', lt: 120 }
+    },
+    {
+      id: 'back-neutral',
+      key: 'rdl-back-neutral',
+      severity: SEVERITY.WARNING,
+      priority: 50,
+      joint: 'back',
+      measure: 'backAngle',
+      target: { min: 165 },
+      when: { metric: 'backAngle', gte: 150, lt: 165 }
+    },
+    hingeKneeRule(140, 'rdl-knee-too-bent'),
+    {
+      id: 'knee-too-straight',
+      key: 'rdl-knee-too-straight',
+      severity: SEVERITY.WARNING,
+      priority: 30,
+      joint: 'knee',
+      measure: 'kneeAngle',
+      target: { min: 140, max: 175 },
+      when: { metric: 'kneeAngle', gt: 175 }
+    }
+  ],
+  cues: [
+    { key: 'rdl-good-back', when: { metric: 'backAngle', gte: 165 } },
+    { key: 'rdl-good-hinge', when: { metric: 'hipHingeAngle', gte: 140, lte: 170 } },
+    { key: 'rdl-good-knee', when: { metric: 'kneeAngle', gte: 150, lte: 170 } }
+  ],
+  rep: { metric: 'hipHingeAngle', top: 170, bottom: 135 }
+}
+
+/**
+ * Deadlift (side view)
+ * Starts from the floor with more knee bend than an RDL and finishes standing tall.
+ * Checks: hips dropping into a squat at the start, knees left bent at the top.
+ * Lockout is judged per rep: a pull that stops short of standing tall is a partial rep.
+ */
+export const DEADLIFT_RULES = {
+  required: ['shoulder', 'hip', 'knee', 'ankle'],
+  views: SIDE_VIEW,
+  metrics: HINGE_METRICS,
+  rules: [
+    hingeKneeRule(100, 'deadlift-hips-higher'),
+    {
+      id: 'soft-lockout',
+      key: 'deadlift-lock-knees',
+      severity: SEVERITY.INFO,
+      priority: 30,
+      joint: 'knee',
+      measure: 'kneeAngle',
+      target: { min: 160 },
+      when: { all: [{ metric: 'hipHingeAngle', gt: 165 }, { metric: 'kneeAngle', lt: 160 }] }
+    }
+  ],
+  cues: [
+    { key: 'deadlift-good-lockout', when: { all: [{ metric: 'hipHingeAngle', gte: 170 }, { metric: 'kneeAngle', gte: 165 }] } }
+  ],
+  // Leaving the floor is the lift; the turnaround is the lockout
+  rep: { metric: 'hipHingeAngle', top: 110, bottom: 170, firstPhase: 'concentric', partialKey: 'deadlift-finish-lockout' }
+}
+
+/**
+ * Dumbbell / kettlebell swing (side view)
+ * Hike the weight back with a hinge, then snap the hips through.
+ * Checks: squatting the swing instead of hinging; the hip snap is timed per rep.
+ */
+export const SWING_RULES = {
+  required: ['shoulder', 'hip', 'knee', 'ankle'],
+  views: SIDE_VIEW,
+  metrics: HINGE_METRICS,
+  rules: [hingeKneeRule(120, 'swing-hinge-not-squat')],
+  cues: [
+    { key: 'swing-good-snap', when: { metric: 'hipHingeAngle', gte: 170 } }
+  ],
+  rep: {
+    metric: 'hipHingeAngle',
+    top: 165,
+    bottom: 125,
+    partialKey: 'swing-hips-back',
+    drive: { max: 500, key: 'swing-snap-hips' }
+  }
+}
+
+/**
+ * Bent-over row (side view)
+ * The torso holds a fixed hinge while the elbows pull back, counted per arm.
+ * Checks: torso rising out of the hinge, knee bend; pull range is judged per rep
+ */
+export const BENT_OVER_ROW_RULES = {
+  required: ['shoulder', 'hip', 'elbow', 'wrist'],
+  views: SIDE_VIEW,
+  metrics: {
+    ...HINGE_METRICS,
+    leftElbowAngle: jointAngle('left_shoulder', 'left_elbow', 'left_wrist'),
+    rightElbowAngle: jointAngle('right_shoulder', 'right_elbow', 'right_wrist')
+  },
+  rules: [
+    {
+      id: 'torso-rising',
+      key: 'row-stay-bent',
+      severity: SEVERITY.WARNING,
+      priority: 80,
+      joint: 'torso',
+      measure: 'torsoAngle',
+      target: { max: 55 },
+      when: { metric: 'torsoAngle', gt: 55 }
+    },
+    hingeKneeRule(120, 'row-knees-straighter')
+  ],
+  cues: [
+    { key: 'row-good-squeeze', when: { any: [{ metric: 'leftElbowAngle', lt: 90 }, { metric: 'rightElbowAngle', lt: 90 }] } }
+  ],
+  rep: {
+    metric: 'elbowAngle',
+    sides: { left: 'leftElbowAngle', right: 'rightElbowAngle' },
+    top: 150,
+    bottom: 95,
+    firstPhase: 'concentric',
+    partialKey: 'row-pull-higher'
+  }
+}
+
+/**
+ * Renegade row (side view, plank on the dumbbells)
+ * The body holds a plank while each arm rows in turn.
+ * Checks: hips sagging or piking; pull range is judged per rep
+ */
+export const RENEGADE_ROW_RULES = {
+  required: ['shoulder', 'hip', 'ankle', 'elbow', 'wrist'],
+  views: SIDE_VIEW,
+  metrics: {
+    hipLine: lineDeviation('shoulder', 'ankle', 'hip'),
+    leftElbowAngle: jointAngle('left_shoulder', 'left_elbow', 'left_wrist'),
+    rightElbowAngle: jointAngle('right_shoulder', 'right_elbow', 'right_wrist')
+  },
+  rules: [
+    {
+      id: 'hips-sagging',
+      key: 'plank-hips-sagging',
+      severity: SEVERITY.WARNING,
+      priority: 80,
+      joint: 'hip',
+      measure: 'hipLine',
+      target: { min: -0.1, max: 0.12 },
+      when: { metric: 'hipLine', lt: -0.1 }
+    },
+    {
+      id: 'hips-piked',
+      key: 'plank-hips-too-high',
+      severity: SEVERITY.WARNING,
+      priority: 70,
+      joint: 'hip',
+      measure: 'hipLine',
+      target: { min: -0.1, max: 0.12 },
+      when: { metric: 'hipLine', gt: 0.12 }
+    }
+  ],
+  cues: [
+    { key: 'row-good-squeeze', when: { any: [{ metric: 'leftElbowAngle', lt: 90 }, { metric: 'rightElbowAngle', lt: 90 }] } }
+  ],
+  rep: {
+    metric: 'elbowAngle',
+    sides: { left: 'leftElbowAngle', right: 'rightElbowAngle' },
+    top: 150,
+    bottom: 95,
+    firstPhase: 'concentric',
+    partialKey: 'row-pull-higher'
+  }
+}
+
+/**
+ * Glute bridge / hip thrust (side view, lying on the back)
+ * Hips extend from the floor to a straight shoulder-hip-knee line.
+ * Checks: lower back hyperextending (hips pushed above the line), one hip rising higher than the other.
+ * Per rep: reaching full extension and pausing there.
+ */
+export const GLUTE_BRIDGE_RULES = {
+  required: ['shoulder', 'hip', 'knee'],
+  views: SIDE_VIEW,
+  metrics: {
+    // ~180° with the hips fully extended
+    hipAngle: jointAngle('shoulder', 'hip', 'knee'),
+    // Hip distance above the shoulder-knee line relative to its length: positive = overarched
+    hipLine: lineDeviation('shoulder', 'knee', 'hip'),
+    // Left vs right hip height in thigh lengths
+    hipTilt: offset('left_hip', 'right_hip', 'y', { absolute: true, normalizeBy: ['hip', 'knee'] })
+  },
+  rules: [
+    {
+      id: 'hyperextension',
+      key: 'bridge-ribs-down',
+      severity: SEVERITY.CRITICAL,
+      priority: 100,
+      joint: 'back',
+      measure: 'hipLine',
+      target: { max: 0.08 },
+      when: { metric: 'hipLine', gt: 0.08 }
+    },
+    {
+      id: 'uneven-hips',
+      key: 'bridge-hips-level',
+      severity: SEVERITY.WARNING,
+      priority: 80,
+      joint: 'hip',
+      measure: 'hipTilt',
+      target: { max: 0.15 },
+      when: { all: [{ metric: 'hipTilt', gt: 0.15 }, { metric: 'hipAngle', gt: 145 }] }
+    }
+  ],
+  cues: [
+    { key: 'bridge-full-extension', when: { metric: 'hipAngle', gte: 168 } },
+    { key: 'bridge-encouragement', when: { metric: 'hipAngle', gt: 150 } }
+  ],
+  rep: {
+    metric: 'hipAngle',
+    top: 135,
+    bottom: 165,
+    firstPhase: 'concentric',
+    partialKey: 'bridge-hips-higher',
+    turnPause: { min: 800, key: 'bridge-pause-top' }
+  }
+}
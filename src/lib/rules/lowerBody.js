@@ -0,0 +1,416 @@
+import { SEVERITY, jointAngle, segmentAngle, offset, minOf } from '../formRules'
+import { SIDE_VIEW, HEEL_LIFT } from './shared'
+
+/**
+ * Squat and lunge patterns, step-ups, wall sit, calf raises and knee flexion.
+ * Knee and hip angles are read from the side; the heel checks only measure with
+ * BlazePose, the one model that tracks the feet.
+ */
+
+/**
+ * Squat
+ * Checks: chest/back position, hip hinge instead of knee bend, knees drifting forward.
+ * Depth is judged per rep: one that turns around short of the bottom is a partial rep.
+ */
+export const SQUAT_RULES = {
+  required: ['hip', 'knee', 'ankle'],
+  views: SIDE_VIEW,
+  metrics: {
+    kneeAngle: jointAngle('hip', 'knee', 'ankle'),
+    hipAngle: jointAngle('shoulder', 'hip', 'knee'),
+    // 0° = upright torso, 90° = bent over parallel to the ground
+    torsoLean: segmentAngle('hip', 'shoulder'),
+    // Height of the shoulders above the hips in torso lengths: 1 standing tall, lower as the chest drops
+    shoulderHeight: offset('shoulder', 'hip', 'y', { normalizeBy: 'body' }),
+    // Knee travel past the ankle relative to thigh length
+    kneeTravel: offset('ankle', 'knee', 'x', { absolute: true, normalizeBy: ['hip', 'knee'] }),
+    heelLift: HEEL_LIFT
+  },
+  rules: [
+    {
+      // Obvious bad squat: bending forward without bending the knees. Judged on the torso
+      // itself - the hip angle also closes as the thighs tip forward in a normal descent
+      id: 'chest-up',
+      key: 'squat-chest-up',
+      severity: SEVERITY.CRITICAL,
+      priority: 100,
+      joint: 'torso',
+      measure: 'torsoLean',
+      target: { max: 40 },
+      when: {
+        any: [
+          { all: [{ metric: 'torsoLean', gt: 40 }, { metric: 'kneeAngle', gt: 140 }] },
+          { all: [{ metric: 'torsoLean', gt: 50 }, { metric: 'kneeAngle', gt: 130 }] }
+        ]
+      }
+    },
+    {
+      // Chest collapsing onto the thighs at depth
+      id: 'back-rounding',
+      key: 'squat-back-alignment',
+      severity: SEVERITY.CRITICAL,
+      priority: 90,
+      joint: 'torso',
+      measure: 'torsoLean',
+      target: { max: 50 },
+      when: { all: [{ metric: 'torsoLean', gt: 50 }, { metric: 'hipAngle', lt: 80 }] }
+    },
+    {
+      // "Bow" / "good morning": upper body folds forward while the legs stay straight
+      id: 'hip-hinge',
+      key: 'squat-sit-back',
+      severity: SEVERITY.WARNING,
+      priority: 80,
+      joint: 'knee',
+      measure: 'kneeAngle',
+      target: { max: 150 },
+      when: {
+        any: [
+          { all: [{ metric: 'torsoLean', gt: 30 }, { metric: 'kneeAngle', gt: 150 }] },
+          { all: [{ metric: 'shoulderHeight', lt: 0.8 }, { metric: 'kneeAngle', gt: 150 }] },
+          { all: [{ metric: 'torsoLean', gt: 25 }, { metric: 'kneeAngle', gt: 160 }] }
+        ]
+      }
+    },
+    {
+      // Bending at the hips instead of sitting back
+      id: 'bent-over',
+      key: 'squat-upright-torso',
+      severity: SEVERITY.WARNING,
+      priority: 70,
+      joint: 'torso',
+      measure: 'torsoLean',
+      target: { max: 60 },
+      when: { all: [{ metric: 'torsoLean', gt: 60 }, { metric: 'kneeAngle', lt: 170 }] }
+    },
+    {
+      // Knees shooting forward past the toes; some travel is normal, so only a lot of it
+      id: 'knees-forward',
+      key: 'squat-knees-forward',
+      severity: SEVERITY.WARNING,
+      priority: 40,
+      joint: 'knee',
+      measure: 'kneeTravel',
+      target: { max: 0.6 },
+      when: { metric: 'kneeTravel', gt: 0.6 }
+    },
+    {
+      // Only measurable with a model that tracks the feet (BlazePose)
+      id: 'heels-lifting',
+      key: 'squat-heels-down',
+      severity: SEVERITY.WARNING,
+      priority: 75,
+      joint: 'ankle',
+      measure: 'heelLift',
+      target: { max: 0.08 },
+      when: { metric: 'heelLift', gt: 0.08 }
+    }
+  ],
+  cues: [
+    { key: 'squat-great-depth', when: { metric: 'kneeAngle', lt: 70 } },
+    { key: 'squat-good-depth', when: { metric: 'kneeAngle', lt: 100 } },
+    { key: 'squat-encouragement', when: { metric: 'kneeAngle', lt: 140 } }
+  ],
+  rep: { metric: 'kneeAngle', top: 160, bottom: 100, partialKey: 'squat-knee-too-straight' }
+}
+
+/**
+ * Wall sit
+ * Checks: knee angle (~90°), back upright against the wall, hips at knee level
+ */
+export const WALL_SIT_RULES = {
+  required: ['hip', 'knee', 'ankle'],
+  views: SIDE_VIEW,
+  metrics: {
+    kneeAngle: jointAngle('hip', 'knee', 'ankle'),
+    backAngle: jointAngle('shoulder', 'hip', 'knee'),
+    // Positive = hips below knees, in torso lengths
+    hipHeight: offset('knee', 'hip', 'y', { normalizeBy: 'body' })
+  },
+  rules: [
+    {
+      id: 'hips-too-high',
+      key: 'wallsit-hips-too-high',
+      severity: SEVERITY.WARNING,
+      priority: 80,
+      joint: 'hip',
+      measure: 'hipHeight',
+      target: { min: -0.15 },
+      when: { metric: 'hipHeight', lt: -0.15 }
+    },
+    {
+      // Very lenient - only an extremely rounded back
+      id: 'back-alignment',
+      key: 'wallsit-back-alignment',
+      severity: SEVERITY.WARNING,
+      priority: 70,
+      joint: 'back',
+      measure: 'backAngle',
+      target: { min: 120 },
+      when: { metric: 'backAngle', lt: 120 }
+    },
+    {
+      id: 'knee-too-bent',
+      key: 'wallsit-knee-too-bent',
+      severity: SEVERITY.WARNING,
+      priority: 60,
+      joint: 'knee',
+      measure: 'kneeAngle',
+      target: { min: 75, max: 105 },
+      when: { metric: 'kneeAngle', lt: 75 }
+    },
+    {
+      id: 'knee-too-straight',
+      key: 'wallsit-knee-too-straight',
+      severity: SEVERITY.WARNING,
+      priority: 60,
+      joint: 'knee',
+      measure: 'kneeAngle',
+      target: { min: 75, max: 105 },
+      when: { metric: 'kneeAngle', gt: 105 }
+    },
+    {
+      // Hips far below the knees usually means sliding down the wall
+      id: 'hips-too-low',
+      key: 'wallsit-hips-too-low',
+      severity: SEVERITY.INFO,
+      priority: 10,
+      joint: 'hip',
+      measure: 'hipHeight',
+      target: { max: 0.4 },
+      when: { metric: 'hipHeight', gt: 0.4 }
+    }
+  ],
+  cues: [
+    { key: 'wallsit-perfect-knee', when: { metric: 'kneeAngle', gte: 85, lte: 95 } },
+    { key: 'wallsit-good-knee', when: { metric: 'kneeAngle', gte: 75, lte: 105 } }
+  ],
+  hold: { metric: 'kneeAngle', min: 75, max: 105 }
+}
+
+/**
+ * Lunge / split squat
+ * Split stance: front_* / back_* points follow whichever leg is forward, so
+ * alternating lunges work and every rep is tagged with its working leg.
+ * Checks: front knee angle (~90° at the bottom), back knee descent, torso upright,
+ * front knee travelling far past the ankle
+ */
+export const LUNGE_RULES = {
+  required: ['hip', 'knee', 'ankle'],
+  views: SIDE_VIEW,
+  stance: 'split',
+  metrics: {
+    frontKneeAngle: jointAngle('front_hip', 'front_knee', 'front_ankle'),
+    backKneeAngle: jointAngle('back_hip', 'back_knee', 'back_ankle'),
+    // 0° = upright torso
+    torsoLean: segmentAngle('hip', 'shoulder'),
+    // Horizontal knee travel past the ankle relative to shin length (~sine of the shin angle)
+    frontKneeTravel: offset('front_ankle', 'front_knee', 'x', { absolute: true, normalizeBy: ['front_knee', 'front_ankle'] })
+  },
+  rules: [
+    {
+      id: 'torso-upright',
+      key: 'lunge-torso-upright',
+      severity: SEVERITY.WARNING,
+      priority: 90,
+      joint: 'torso',
+      measure: 'torsoLean',
+      target: { max: 30 },
+      when: { all: [{ metric: 'torsoLean', gt: 30 }, { metric: 'frontKneeAngle', lt: 150 }] }
+    },
+    {
+      id: 'knee-past-ankle',
+      key: 'lunge-knee-past-ankle',
+      severity: SEVERITY.WARNING,
+      priority: 80,
+      joint: 'knee',
+      measure: 'frontKneeTravel',
+      target: { max: 0.55 },
+      when: { all: [{ metric: 'frontKneeTravel', gt: 0.55 }, { metric: 'frontKneeAngle', lt: 140 }] }
+    },
+    {
+      id: 'front-knee-too-deep',
+      key: 'lunge-front-knee-too-deep',
+      severity: SEVERITY.WARNING,
+      priority: 60,
+      joint: 'knee',
+      measure: 'frontKneeAngle',
+      target: { min: 75 },
+      when: { metric: 'frontKneeAngle', lt: 75 }
+    },
+    {
+      // Front knee is down but the back leg stays straight - stance too long or not dropping
+      id: 'back-knee-down',
+      key: 'lunge-back-knee-down',
+      severity: SEVERITY.INFO,
+      priority: 40,
+      joint: 'knee',
+      measure: 'backKneeAngle',
+      target: { max: 130 },
+      when: { all: [{ metric: 'frontKneeAngle', lt: 115 }, { metric: 'backKneeAngle', gt: 145 }] }
+    }
+  ],
+  cues: [
+    { key: 'lunge-good-depth', when: { metric: 'frontKneeAngle', gte: 75, lte: 105 } },
+    { key: 'lunge-encouragement', when: { metric: 'frontKneeAngle', lt: 145 } }
+  ],
+  rep: { metric: 'frontKneeAngle', top: 160, bottom: 110 }
+}
+
+/**
+ * Step-up (side view, onto a chair or bench)
+ * Split stance: the leading leg is the one on the box (forward and higher), so
+ * alternating step-ups are counted per leg. The rep is the leading knee driving
+ * from bent to straight.
+ * Checks: standing up on top without extending the hips, leaning over the leading leg.
+ * Reaching a straight leg on top is judged per rep.
+ */
+export const STEP_UP_RULES = {
+  required: ['hip', 'knee', 'ankle'],
+  views: SIDE_VIEW,
+  stance: 'split',
+  metrics: {
+    frontKneeAngle: jointAngle('front_hip', 'front_knee', 'front_ankle'),
+    frontHipAngle: jointAngle('shoulder', 'front_hip', 'front_knee'),
+    torsoLean: segmentAngle('hip', 'shoulder')
+  },
+  rules: [
+    {
+      id: 'hips-not-extended',
+      key: 'step-up-hips-through',
+      severity: SEVERITY.WARNING,
+      priority: 80,
+      joint: 'hip',
+      measure: 'frontHipAngle',
+      target: { min: 165 },
+      when: { all: [{ metric: 'frontKneeAngle', gt: 160 }, { metric: 'frontHipAngle', lt: 160 }] }
+    },
+    {
+      id: 'torso-lean',
+      key: 'step-up-chest-up',
+      severity: SEVERITY.INFO,
+      priority: 40,
+      joint: 'torso',
+      measure: 'torsoLean',
+      target: { max: 35 },
+      when: { metric: 'torsoLean', gt: 35 }
+    }
+  ],
+  cues: [
+    { key: 'step-up-good-extension', when: { all: [{ metric: 'frontKneeAngle', gte: 165 }, { metric: 'frontHipAngle', gte: 165 }] } }
+  ],
+  rep: { metric: 'frontKneeAngle', top: 110, bottom: 165, firstPhase: 'concentric', partialKey: 'step-up-stand-tall' }
+}
+
+/**
+ * Chair squat (side view) - sit back until the seat is touched, then stand
+ * Checks: torso folding forward; per rep, a controlled descent, touching the
+ * seat and a brief pause on it instead of bouncing off
+ */
+export const CHAIR_SQUAT_RULES = {
+  required: ['hip', 'knee', 'ankle'],
+  views: SIDE_VIEW,
+  metrics: {
+    kneeAngle: jointAngle('hip', 'knee', 'ankle'),
+    torsoLean: segmentAngle('hip', 'shoulder')
+  },
+  rules: [
+    {
+      id: 'chest-down',
+      key: 'chair-squat-chest-up',
+      severity: SEVERITY.WARNING,
+      priority: 60,
+      joint: 'torso',
+      measure: 'torsoLean',
+      target: { max: 45 },
+      when: { metric: 'torsoLean', gt: 45 }
+    }
+  ],
+  cues: [
+    { key: 'chair-squat-good-depth', when: { metric: 'kneeAngle', lte: 100 } }
+  ],
+  rep: {
+    metric: 'kneeAngle',
+    top: 160,
+    bottom: 100,
+    partialKey: 'chair-squat-touch',
+    turnPause: { min: 300, key: 'chair-squat-no-bounce' },
+    control: { min: 1500, key: 'chair-squat-slow-down' }
+  }
+}
+
+/**
+ * Single-leg squat (to a chair or bench)
+ * The working leg is the more bent one; the free leg stays straight out in front.
+ * Depth and control are judged per rep like a chair squat.
+ */
+export const SINGLE_LEG_SQUAT_RULES = {
+  required: ['hip', 'knee', 'ankle'],
+  views: SIDE_VIEW,
+  metrics: {
+    kneeAngle: minOf(jointAngle('left_hip', 'left_knee', 'left_ankle'), jointAngle('right_hip', 'right_knee', 'right_ankle')),
+    torsoLean: segmentAngle('hip', 'shoulder')
+  },
+  rules: [],
+  cues: [
+    { key: 'chair-squat-good-depth', when: { metric: 'kneeAngle', lte: 100 } }
+  ],
+  rep: {
+    metric: 'kneeAngle',
+    top: 160,
+    bottom: 105,
+    partialKey: 'chair-squat-touch',
+    control: { min: 1500, key: 'chair-squat-slow-down' }
+  }
+}
+
+/**
+ * Calf raises (side view)
+ * Needs heel and toe points, so it's only analyzed with BlazePose.
+ * Checks: straight legs; height and a pause at the top are judged per rep
+ */
+export const CALF_RAISE_RULES = {
+  required: ['knee', 'ankle', 'heel', 'foot_index'],
+  views: SIDE_VIEW,
+  metrics: {
+    kneeAngle: jointAngle('hip', 'knee', 'ankle'),
+    heelLift: HEEL_LIFT
+  },
+  rules: [
+    {
+      id: 'knees-bending',
+      key: 'calf-raise-straight-legs',
+      severity: SEVERITY.WARNING,
+      priority: 70,
+      joint: 'knee',
+      measure: 'kneeAngle',
+      target: { min: 160 },
+      when: { metric: 'kneeAngle', lt: 160 }
+    }
+  ],
+  cues: [
+    { key: 'calf-raise-good-height', when: { metric: 'heelLift', gte: 0.12 } }
+  ],
+  rep: {
+    metric: 'heelLift',
+    top: 0.03,
+    bottom: 0.1,
+    firstPhase: 'concentric',
+    partialKey: 'calf-raise-higher',
+    turnPause: { min: 300, key: 'calf-raise-squeeze' }
+  }
+}
+
+/**
+ * Other knee-dominant movements (band leg press)
+ * No form rules yet - only the primary signal is measured so reps are counted
+ */
+export const KNEE_FLEXION_RULES = {
+  required: ['hip', 'knee', 'ankle'],
+  metrics: {
+    kneeAngle: jointAngle('hip', 'knee', 'ankle')
+  },
+  rules: [],
+  cues: [],
+  rep: { metric: 'kneeAngle', top: 160, bottom: 110 }
+}
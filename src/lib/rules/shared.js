@@ -0,0 +1,10 @@
+import { VIEW, offset } from '../formRules'
+
+// Camera views a definition can be judged from (see detectView in formRules.js)
+export const SIDE_VIEW = [VIEW.LEFT_SIDE, VIEW.RIGHT_SIDE]
+export const FRONT_VIEW = [VIEW.FRONT]
+export const FRONT_OR_SIDE_VIEW = [VIEW.FRONT, VIEW.LEFT_SIDE, VIEW.RIGHT_SIDE]
+
+// Heel height above the toes in torso lengths (0 = foot flat). Needs the heel and toe
+// points only BlazePose tracks; with MoveNet it can't be measured and its rules never match
+export const HEEL_LIFT = offset('heel', 'foot_index', 'y', { normalizeBy: 'body' })
@@ -0,0 +1,410 @@
+import { SEVERITY, jointAngle, segmentAngle, offset, maxOf, minOf, difference } from '../formRules'
+import { SIDE_VIEW, FRONT_VIEW, FRONT_OR_SIDE_VIEW } from './shared'
+
+/**
+ * Push-ups, dips, curls, tricep work, presses, raises and band rows.
+ * Pressing and push-up depth come from the elbow angle; raises follow the arm's
+ * elevation from the torso, and single-arm work is counted per side.
+ */
+
+/**
+ * Push-up
+ * Checks: body line, hand placement, elbow flare. Depth is judged per rep: one that
+ * turns around before the elbows reach ~100° is a partial rep.
+ */
+export const PUSH_UP_RULES = {
+  required: ['shoulder', 'elbow', 'wrist'],
+  views: SIDE_VIEW,
+  metrics: {
+    // ~180° at the top, ~90° at the bottom
+    elbowAngle: jointAngle('shoulder', 'elbow', 'wrist'),
+    bodyAngle: jointAngle('shoulder', 'hip', 'ankle'),
+    // Hands ahead of (+) or behind (-) the shoulders in torso lengths, whichever way the user faces
+    handOffset: offset('shoulder', 'wrist', 'x', { forward: true, normalizeBy: 'body' }),
+    elbowFlare: segmentAngle('shoulder', 'elbow')
+  },
+  rules: [
+    {
+      // Flare ratio (horizontal / vertical upper-arm travel) above 1.5
+      id: 'elbow-flare',
+      key: 'pushup-elbow-flare',
+      severity: SEVERITY.WARNING,
+      priority: 80,
+      joint: 'elbow',
+      measure: 'elbowFlare',
+      target: { max: 56.3 },
+      when: { metric: 'elbowFlare', gt: 56.3 }
+    },
+    {
+      id: 'hand-position',
+      key: 'pushup-hand-position',
+      severity: SEVERITY.WARNING,
+      priority: 70,
+      joint: 'wrist',
+      measure: 'handOffset',
+      target: { min: -0.4 },
+      when: { metric: 'handOffset', lt: -0.4 }
+    },
+    {
+      id: 'body-alignment',
+      key: 'pushup-body-alignment',
+      severity: SEVERITY.WARNING,
+      priority: 60,
+      joint: 'hip',
+      measure: 'bodyAngle',
+      target: { min: 160 },
+      when: { metric: 'bodyAngle', lt: 160 }
+    },
+  ],
+  cues: [
+    { key: 'pushup-excellent-depth', when: { metric: 'elbowAngle', lt: 80 } },
+    { key: 'pushup-good-depth', when: { metric: 'elbowAngle', lt: 100 } }
+  ],
+  rep: { metric: 'elbowAngle', top: 160, bottom: 100, partialKey: 'pushup-too-shallow' }
+}
+
+/**
+ * Tricep / chair / bench dips (side view)
+ * Checks: shoulders dropping below the elbows at the bottom; elbow range is judged per rep
+ */
+export const DIP_RULES = {
+  required: ['shoulder', 'elbow', 'wrist'],
+  views: SIDE_VIEW,
+  metrics: {
+    elbowAngle: jointAngle('shoulder', 'elbow', 'wrist'),
+    // Shoulder height below the elbow in upper-arm lengths (positive = shoulder lower)
+    shoulderDrop: offset('elbow', 'shoulder', 'y', { normalizeBy: ['shoulder', 'elbow'] })
+  },
+  rules: [
+    {
+      id: 'shoulders-below-elbows',
+      key: 'dip-too-deep',
+      severity: SEVERITY.CRITICAL,
+      priority: 100,
+      joint: 'shoulder',
+      measure: 'shoulderDrop',
+      target: { max: 0 },
+      when: { metric: 'shoulderDrop', gt: 0.1 }
+    }
+  ],
+  cues: [
+    { key: 'dip-good-depth', when: { all: [{ metric: 'elbowAngle', lte: 100 }, { metric: 'shoulderDrop', lte: 0 }] } }
+  ],
+  rep: { metric: 'elbowAngle', top: 160, bottom: 95, partialKey: 'dip-go-lower' }
+}
+
+// Metrics shared by the elbow-flexion family (curls, tricep extensions)
+const ARM_METRICS = {
+  leftElbowAngle: jointAngle('left_shoulder', 'left_elbow', 'left_wrist'),
+  rightElbowAngle: jointAngle('right_shoulder', 'right_elbow', 'right_wrist'),
+  // 0° = upper arm vertical; the more drifted of the two arms
+  upperArmDrift: maxOf(segmentAngle('left_shoulder', 'left_elbow'), segmentAngle('right_shoulder', 'right_elbow')),
+  // 0° = upright torso - leaning back or forward to swing the weight
+  torsoLean: segmentAngle('hip', 'shoulder')
+}
+
+// Each arm has its own rep counter, so alternating and single-arm sets are counted per arm
+const ARM_REP_SIDES = { left: 'leftElbowAngle', right: 'rightElbowAngle' }
+
+// Swinging happens front to back, so it's only visible from the side
+const TORSO_SWING_RULE = {
+  id: 'torso-swing',
+  key: 'arms-torso-swing',
+  severity: SEVERITY.WARNING,
+  priority: 90,
+  joint: 'torso',
+  measure: 'torsoLean',
+  target: { max: 15 },
+  when: { metric: 'torsoLean', gt: 15 },
+  views: SIDE_VIEW
+}
+
+/**
+ * Curls (bicep, hammer, band)
+ * Checks: upper arm drifting forward, torso swinging to cheat the weight.
+ * Range of motion is judged per rep: a rep that doesn't reach full flexion counts as poor.
+ */
+export const ELBOW_FLEXION_RULES = {
+  required: ['shoulder', 'elbow', 'wrist'],
+  views: FRONT_OR_SIDE_VIEW,
+  metrics: {
+    ...ARM_METRICS,
+    // The most bent arm - the one working in an alternating set
+    elbowAngle: minOf(ARM_METRICS.leftElbowAngle, ARM_METRICS.rightElbowAngle)
+  },
+  rules: [
+    TORSO_SWING_RULE,
+    {
+      id: 'upper-arm-drift',
+      key: 'curl-elbows-pinned',
+      severity: SEVERITY.WARNING,
+      priority: 80,
+      joint: 'shoulder',
+      measure: 'upperArmDrift',
+      target: { max: 25 },
+      when: { metric: 'upperArmDrift', gt: 25 }
+    }
+  ],
+  cues: [
+    { key: 'curl-full-squeeze', when: { metric: 'elbowAngle', lt: 60 } },
+    { key: 'curl-good-form', when: { metric: 'upperArmDrift', lt: 15 } }
+  ],
+  rep: { metric: 'elbowAngle', sides: ARM_REP_SIDES, top: 150, bottom: 70, firstPhase: 'concentric' }
+}
+
+/**
+ * Tricep extensions and pushdowns (dumbbell, band)
+ * Checks: upper arm staying pinned at the side, torso swinging
+ */
+export const ELBOW_EXTENSION_RULES = {
+  required: ['shoulder', 'elbow', 'wrist'],
+  views: FRONT_OR_SIDE_VIEW,
+  metrics: {
+    ...ARM_METRICS,
+    // The straightest arm - the one locking out
+    elbowAngle: maxOf(ARM_METRICS.leftElbowAngle, ARM_METRICS.rightElbowAngle)
+  },
+  rules: [
+    TORSO_SWING_RULE,
+    {
+      id: 'upper-arm-drift',
+      key: 'tricep-upper-arm-still',
+      severity: SEVERITY.WARNING,
+      priority: 80,
+      joint: 'shoulder',
+      measure: 'upperArmDrift',
+      target: { max: 25 },
+      when: { metric: 'upperArmDrift', gt: 25 }
+    }
+  ],
+  cues: [
+    { key: 'tricep-full-lockout', when: { metric: 'elbowAngle', gt: 160 } },
+    { key: 'tricep-good-form', when: { metric: 'upperArmDrift', lt: 15 } }
+  ],
+  rep: { metric: 'elbowAngle', sides: ARM_REP_SIDES, top: 80, bottom: 150, firstPhase: 'concentric' }
+}
+
+/**
+ * Overhead tricep extension
+ * Checks: elbows stay pointed up (upper arm vertical, elbow above the shoulder), torso swinging
+ */
+export const OVERHEAD_TRICEP_RULES = {
+  required: ['shoulder', 'elbow', 'wrist'],
+  views: FRONT_OR_SIDE_VIEW,
+  metrics: {
+    ...ARM_METRICS,
+    elbowAngle: maxOf(ARM_METRICS.leftElbowAngle, ARM_METRICS.rightElbowAngle),
+    // Lower elbow's height above its shoulder in upper-arm lengths: 1 = straight up, 0 = level
+    elbowHeight: minOf(
+      offset('left_elbow', 'left_shoulder', 'y', { normalizeBy: ['left_shoulder', 'left_elbow'] }),
+      offset('right_elbow', 'right_shoulder', 'y', { normalizeBy: ['right_shoulder', 'right_elbow'] })
+    )
+  },
+  rules: [
+    {
+      id: 'elbows-dropped',
+      key: 'overhead-tricep-elbows-up',
+      severity: SEVERITY.WARNING,
+      priority: 95,
+      joint: 'elbow',
+      measure: 'elbowHeight',
+      target: { min: 0.6 },
+      when: { metric: 'elbowHeight', lt: 0.6 }
+    },
+    TORSO_SWING_RULE,
+    {
+      // Elbows flaring out or drifting forward instead of pointing at the ceiling
+      id: 'upper-arm-drift',
+      key: 'overhead-tricep-elbows-in',
+      severity: SEVERITY.WARNING,
+      priority: 80,
+      joint: 'shoulder',
+      measure: 'upperArmDrift',
+      target: { max: 30 },
+      when: { metric: 'upperArmDrift', gt: 30 }
+    }
+  ],
+  cues: [
+    { key: 'tricep-full-lockout', when: { metric: 'elbowAngle', gt: 160 } },
+    { key: 'tricep-good-form', when: { metric: 'upperArmDrift', lt: 20 } }
+  ],
+  rep: { metric: 'elbowAngle', sides: ARM_REP_SIDES, top: 80, bottom: 150, firstPhase: 'concentric' }
+}
+
+/**
+ * Overhead presses (shoulder, band, Arnold)
+ * Checks: lower back arching, wrists stacked over the elbows (bar path).
+ * Lockout is judged per rep: a rep that stops short of straight arms is a partial rep.
+ */
+export const OVERHEAD_PRESS_RULES = {
+  required: ['shoulder', 'elbow', 'wrist'],
+  views: FRONT_OR_SIDE_VIEW,
+  metrics: {
+    ...ARM_METRICS,
+    // The straighter arm - the one locking out
+    elbowAngle: maxOf(ARM_METRICS.leftElbowAngle, ARM_METRICS.rightElbowAngle),
+    // 0° = forearm vertical, wrist stacked over the elbow
+    forearmTilt: maxOf(segmentAngle('left_elbow', 'left_wrist'), segmentAngle('right_elbow', 'right_wrist'))
+  },
+  rules: [
+    {
+      // Leaning back to press turns it into an incline press and loads the lower back
+      id: 'back-arch',
+      key: 'press-back-arch',
+      severity: SEVERITY.CRITICAL,
+      priority: 100,
+      joint: 'back',
+      measure: 'torsoLean',
+      target: { max: 12 },
+      when: { metric: 'torsoLean', gt: 12 },
+      views: SIDE_VIEW
+    },
+    {
+      id: 'wrist-path',
+      key: 'press-stack-wrists',
+      severity: SEVERITY.WARNING,
+      priority: 80,
+      joint: 'wrist',
+      measure: 'forearmTilt',
+      target: { max: 25 },
+      when: { metric: 'forearmTilt', gt: 25 }
+    }
+  ],
+  cues: [
+    { key: 'press-full-lockout', when: { metric: 'elbowAngle', gt: 165 } },
+    { key: 'press-good-path', when: { metric: 'forearmTilt', lt: 15 } }
+  ],
+  rep: {
+    metric: 'elbowAngle',
+    sides: ARM_REP_SIDES,
+    top: 90,
+    bottom: 155,
+    firstPhase: 'concentric',
+    partialKey: 'press-finish-lockout'
+  }
+}
+
+const LEFT_ARM_ELEVATION = jointAngle('left_hip', 'left_shoulder', 'left_elbow')
+const RIGHT_ARM_ELEVATION = jointAngle('right_hip', 'right_shoulder', 'right_elbow')
+
+/**
+ * Lateral and front raises
+ * Checks: arms stopping near shoulder height, soft (not locked or bent) elbows,
+ * both arms rising evenly when they lift together
+ */
+export const RAISE_RULES = {
+  required: ['hip', 'shoulder', 'elbow'],
+  views: FRONT_OR_SIDE_VIEW,
+  metrics: {
+    leftArmElevation: LEFT_ARM_ELEVATION,
+    rightArmElevation: RIGHT_ARM_ELEVATION,
+    // Highest arm - 90° is shoulder height
+    armElevation: maxOf(LEFT_ARM_ELEVATION, RIGHT_ARM_ELEVATION),
+    // Lowest arm - both arms are up when this is high too
+    lowerArmElevation: minOf(LEFT_ARM_ELEVATION, RIGHT_ARM_ELEVATION),
+    armImbalance: difference(LEFT_ARM_ELEVATION, RIGHT_ARM_ELEVATION),
+    // Most bent and straightest elbow
+    minElbowAngle: minOf(ARM_METRICS.leftElbowAngle, ARM_METRICS.rightElbowAngle),
+    maxElbowAngle: maxOf(ARM_METRICS.leftElbowAngle, ARM_METRICS.rightElbowAngle)
+  },
+  rules: [
+    {
+      id: 'too-high',
+      key: 'raise-stop-at-shoulders',
+      severity: SEVERITY.WARNING,
+      priority: 90,
+      joint: 'shoulder',
+      measure: 'armElevation',
+      target: { max: 105 },
+      when: { metric: 'armElevation', gt: 105 }
+    },
+    {
+      // Bent elbows shorten the lever - it turns into an upright row
+      id: 'elbows-bent',
+      key: 'raise-straighten-arms',
+      severity: SEVERITY.WARNING,
+      priority: 80,
+      joint: 'elbow',
+      measure: 'minElbowAngle',
+      target: { min: 140 },
+      when: { all: [{ metric: 'minElbowAngle', lt: 140 }, { metric: 'armElevation', gt: 45 }] }
+    },
+    {
+      id: 'uneven-arms',
+      key: 'raise-arms-even',
+      severity: SEVERITY.WARNING,
+      priority: 70,
+      joint: 'shoulder',
+      measure: 'armImbalance',
+      target: { max: 20 },
+      when: { all: [{ metric: 'armImbalance', gt: 20 }, { metric: 'lowerArmElevation', gt: 40 }] },
+      // From the side the far arm is hidden behind the body
+      views: FRONT_VIEW
+    },
+    {
+      id: 'elbows-locked',
+      key: 'raise-soften-elbows',
+      severity: SEVERITY.INFO,
+      priority: 30,
+      joint: 'elbow',
+      measure: 'maxElbowAngle',
+      target: { max: 175 },
+      when: { all: [{ metric: 'maxElbowAngle', gt: 175 }, { metric: 'armElevation', gt: 45 }] }
+    }
+  ],
+  cues: [
+    { key: 'raise-good-height', when: { metric: 'armElevation', gte: 80, lte: 105 } },
+    { key: 'raise-encouragement', when: { metric: 'armElevation', gt: 45 } }
+  ],
+  rep: {
+    metric: 'armElevation',
+    sides: { left: 'leftArmElevation', right: 'rightArmElevation' },
+    top: 25,
+    bottom: 75,
+    firstPhase: 'concentric'
+  }
+}
+
+/**
+ * Movement patterns without form rules yet
+ * These only measure the primary signal so reps are counted across the catalog.
+ */
+
+/**
+ * Push-up variations (knee, wall) - elbow bends from straight to ~90°
+ */
+export const PUSH_UP_VARIATION_RULES = {
+  required: ['shoulder', 'elbow', 'wrist'],
+  metrics: {
+    elbowAngle: jointAngle('shoulder', 'elbow', 'wrist')
+  },
+  rules: [],
+  cues: [],
+  rep: { metric: 'elbowAngle', top: 160, bottom: 100 }
+}
+
+/**
+ * Chest presses - elbow extends from the rack position to lockout
+ */
+export const PRESS_RULES = {
+  required: ['shoulder', 'elbow', 'wrist'],
+  metrics: {
+    elbowAngle: jointAngle('shoulder', 'elbow', 'wrist')
+  },
+  rules: [],
+  cues: [],
+  rep: { metric: 'elbowAngle', top: 90, bottom: 155, firstPhase: 'concentric' }
+}
+
+/**
+ * Band rows (standing or seated) - elbow pulls from straight to bent
+ */
+export const ROW_RULES = {
+  required: ['shoulder', 'elbow', 'wrist'],
+  metrics: {
+    elbowAngle: jointAngle('shoulder', 'elbow', 'wrist')
+  },
+  rules: [],
+  cues: [],
+  rep: { metric: 'elbowAngle', top: 150, bottom: 95, firstPhase: 'concentric' }
+}
@@ -0,0 +1,127 @@
+import { testCondition } from './formRules'
+import { REP_QUALITY } from './repCounter'
+
+/**
+ * Sequence recognizer for compound movements (burpees)
+ *
+ * A single angle can't follow a burpee, so the movement is described as an
+ * ordered list of postures (squat down, plank, push-up, jump in, jump), each a
+ * condition on the frame's metrics. A cycle opens when the body leaves the rest
+ * posture and closes once it is back at rest. The rep counts only if every
+ * required phase was seen on the way; otherwise the first skipped phase is named.
+ *
+ * Phases only move forward: a frame matching the current phase keeps it, a frame
+ * matching a later phase advances to it, anything else (transitions, earlier
+ * postures) is ignored. That lets identical postures appear twice in the order
+ * (squatting down and jumping the feet back in).
+ */
+
+const DEFAULT_SETTLE = 300 // ms at rest before a cycle is closed
+
+/**
+ * Create a sequence counter
+ * @param {Object} config
+ * @param {Object} config.rest - Condition for the rest posture between reps (standing)
+ * @param {Array} config.phases - Ordered [{ id, when, optional, skipKey }]
+ *   skipKey is the feedback key spoken when a required phase is skipped
+ * @param {number} [config.settle] - Time in ms the rest posture must hold to close a cycle
+ * @returns {Object} { update, reset, getPhase }
+ */
+export function createSequenceCounter(config) {
+  const { rest, phases } = config
+  const settle = config.settle ?? DEFAULT_SETTLE
+
+  let cycle = null
+  let restSince = null
+
+  const startCycle = (timestamp) => ({
+    startedAt: timestamp,
+    current: -1,
+    seen: [], // [{ id, at }] in order
+    formOk: true
+  })
+
+  // First phase from `from` onward whose posture matches the frame, or -1
+  const matchPhase = (metrics, from) => {
+    for (let index = Math.max(from, 0); index < phases.length; index++) {
+      if (testCondition(phases[index].when, metrics)) return index
+    }
+    return -1
+  }
+
+  const finishCycle = (timestamp) => {
+    const seenIds = cycle.seen.map(phase => phase.id)
+    const skipped = phases
+      .filter(phase => !phase.optional && !seenIds.includes(phase.id))
+      .map(phase => phase.id)
+    const firstSkipped = phases.find(phase => phase.id === skipped[0])
+    const complete = skipped.length === 0
+    const result = {
+      timestamp,
+      startedAt: cycle.startedAt,
+      duration: timestamp - cycle.startedAt,
+      complete,
+      formQuality: complete && cycle.formOk ? REP_QUALITY.GOOD : REP_QUALITY.POOR,
+      phases: cycle.seen,
+      skipped,
+      skippedKey: firstSkipped?.skipKey || null,
+      tempo: null,
+      timeUnderTension: timestamp - cycle.startedAt
+    }
+    cycle = null
+    restSince = null
+    return result
+  }
+
+  /**
+   * Feed one frame of metrics
+   * @param {Object} metrics - Measured metrics for the frame (e.g. the form analysis)
+   * @param {number} timestamp - Frame time in ms
+   * @param {boolean} [formOk=true] - Whether form was acceptable on this frame
+   * @returns {Object|null} Finished cycle, or null
+   *   { timestamp, startedAt, duration, complete, formQuality, phases, skipped, skippedKey, tempo, timeUnderTension }
+   *   phases lists the phases seen as { id, at }; skipped lists required phase ids that never showed up
+   */
+  const update = (metrics, timestamp, formOk = true) => {
+    if (!metrics) return null
+
+    if (testCondition(rest, metrics)) {
+      if (!cycle) return null
+      if (restSince === null) restSince = timestamp
+      return timestamp - restSince >= settle ? finishCycle(timestamp) : null
+    }
+    restSince = null
+
+    // Stay in the current phase while its posture holds, otherwise look ahead
+    const current = cycle ? cycle.current : -1
+    if (current >= 0 && testCondition(phases[current].when, metrics)) {
+      if (!formOk) cycle.formOk = false
+      return null
+    }
+    const next = matchPhase(metrics, current + 1)
+    if (next === -1) {
+      if (cycle && !formOk) cycle.formOk = false
+      return null
+    }
+    // The last phase (the jump) on its own isn't the start of a rep
+    if (!cycle && next === phases.length - 1) return null
+
+    if (!cycle) cycle = startCycle(timestamp)
+    cycle.current = next
+    cycle.seen.push({ id: phases[next].id, at: timestamp })
+    if (!formOk) cycle.formOk = false
+    return null
+  }
+
+  const reset = () => {
+    cycle = null
+    restSince = null
+  }
+
+  /**
+   * Id of the phase the current cycle has reached, or null at rest
+   */
+  const getPhase = () => (cycle && cycle.current >= 0 ? phases[cycle.current].id : null)
+
+  return { update, reset, getPhase }
+}
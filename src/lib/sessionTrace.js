@@ -0,0 +1,143 @@
+/**
+ * Session traces: a recorded set without the video
+ *
+ * A trace holds every keypoint frame the analyzers saw, with its time from the
+ * start of the recording, what the analyzer made of it and every cue that was
+ * spoken. Replaying a trace feeds the same keypoints on the same schedule back
+ * through the analysis, so coaching can be debugged and demoed without a camera
+ * and an analyzer change can be compared against the same movement.
+ *
+ * Keypoint names are stored once; each frame stores [x, y, score] triples in that
+ * order, or null when nobody was in frame.
+ */
+
+export const TRACE_VERSION = 1
+
+const round = (value, places) => {
+  const factor = 10 ** places
+  return Math.round(value * factor) / factor
+}
+
+// Analyzer output worth comparing between runs: the verdict, issue keys and numeric metrics
+function summarizeAnalysis(analysis) {
+  if (!analysis) return null
+  const metrics = {}
+  Object.entries(analysis).forEach(([name, value]) => {
+    if (typeof value === 'number' && Number.isFinite(value)) metrics[name] = round(value, 3)
+  })
+  return {
+    feedbackKey: analysis.feedbackKey || null,
+    isValid: !!analysis.isValid,
+    issues: (analysis.issues || []).map(issue => issue.key),
+    view: analysis.view || null,
+    leadSide: analysis.leadSide || null,
+    metrics
+  }
+}
+
+/**
+ * Create a trace recorder
+ * Frame times are taken relative to the first frame added.
+ * @param {Object} settings - { exercise, poseModel, tempo, holdTarget } the set was run with
+ * @returns {Object} { addFrame, addAnalysis, addCue, finish }
+ */
+export function createTraceRecorder({ exercise, poseModel, tempo = null, holdTarget = null }) {
+  let keypointNames = null
+  let startTime = null
+  const frames = []
+  const cues = []
+
+  const elapsed = (timestamp) => {
+    if (startTime === null) startTime = timestamp
+    return Math.round(timestamp - startTime)
+  }
+
+  /**
+   * Record one keypoint frame
+   * @param {number} timestamp - Frame time in ms
+   * @param {Array|null} keypoints - { name, x, y, score } as passed to the analyzers
+   */
+  const addFrame = (timestamp, keypoints) => {
+    if (keypoints && !keypointNames) keypointNames = keypoints.map(kp => kp.name)
+    frames.push({
+      t: elapsed(timestamp),
+      keypoints: keypoints
+        ? keypointNames.map(name => {
+          const kp = keypoints.find(point => point.name === name)
+          return kp ? [round(kp.x, 1), round(kp.y, 1), round(kp.score, 2)] : [0, 0, 0]
+        })
+        : null,
+      analysis: null
+    })
+  }
+
+  /**
+   * Attach the analyzer's output to the frame added last
+   */
+  const addAnalysis = (analysis) => {
+    const frame = frames[frames.length - 1]
+    if (frame) frame.analysis = summarizeAnalysis(analysis)
+  }
+
+  /**
+   * Record a spoken cue
+   * @param {number} timestamp - Time in ms, on the same clock as the frames
+   * @param {string|null} key - Feedback key the cue came from (null for counts and encouragement)
+   * @param {string} text - What was said
+   */
+  const addCue = (timestamp, key, text) => {
+    cues.push({ t: elapsed(timestamp), key: key || null, text })
+  }
+
+  /**
+   * @returns {Object} The trace, ready for JSON.stringify()
+   */
+  const finish = () => ({
+    version: TRACE_VERSION,
+    recordedAt: new Date().toISOString(),
+    exercise,
+    poseModel,
+    tempo,
+    holdTarget,
+    keypointNames: keypointNames || [],
+    frames,
+    cues
+  })
+
+  return { addFrame, addAnalysis, addCue, finish }
+}
+
+/**
+ * Read a trace from JSON text (or an already parsed object)
+ * @returns {Object} The trace
+ * @throws {Error} If it isn't a trace this version can replay
+ */
+export function parseTrace(json) {
+  const trace = typeof json === 'string' ? JSON.parse(json) : json
+  if (!trace || typeof trace !== 'object') {
+    throw new Error('Not a session trace')
+  }
+  if (trace.version !== TRACE_VERSION) {
+    throw new Error(`Unsupported trace version: ${trace.version}`)
+  }
+  if (!trace.exercise || !Array.isArray(trace.keypointNames) || !Array.isArray(trace.frames)) {
+    throw new Error('Trace is missing its exercise, keypoint names or frames')
+  }
+  if (trace.frames.length === 0) {
+    throw new Error('Trace has no frames')
+  }
+  const outOfOrder = trace.frames.some((frame, idx) => idx > 0 && frame.t < trace.frames[idx - 1].t)
+  if (outOfOrder) {
+    throw new Error('Trace frames are not in time order')
+  }
+  return { ...trace, cues: trace.cues || [] }
+}
+
+/**
+ * Turn a trace frame's keypoints back into { name, x, y, score } objects
+ * @returns {Array<Object>|null}
+ */
+export function decodeTraceKeypoints(frame, keypointNames) {
+  if (!frame.keypoints) return null
+  return frame.keypoints.map(([x, y, score], idx) => ({ x, y, score, name: keypointNames[idx] }))
+}
@@ -0,0 +1,150 @@
+/**
+ * Tempo and time-under-tension helpers
+ *
+ * A prescribed tempo like "3-1-1-0" gives seconds for the eccentric (lowering),
+ * bottom pause, concentric (lifting) and top pause of each rep.
+ * Rep tempos come from the rep counter (repCounter.js) in the same order, in ms.
+ */
+
+// Tempo options offered in the UI (null = no prescribed tempo)
+export const TEMPO_PRESETS = [null, '2-0-1-0', '3-1-1-0', '4-0-1-0', '3-1-3-1']
+
+// A phase counts as rushed below this fraction of its prescribed time
+const RUSHED_RATIO = 0.6
+
+// A prescribed pause counts as skipped below this fraction of its time
+const SKIPPED_PAUSE_RATIO = 0.4
+
+/**
+ * Parse a tempo string into phase durations
+ * @param {string} tempo - e.g. '3-1-1-0'
+ * @returns {Object|null} { eccentric, bottomPause, concentric, topPause } in ms, or null if invalid
+ */
+export function parseTempo(tempo) {
+  if (!tempo) return null
+  const parts = tempo.split('-').map(Number)
+  if (parts.length !== 4 || parts.some(n => Number.isNaN(n) || n < 0)) return null
+  const [eccentric, bottomPause, concentric, topPause] = parts.map(seconds => seconds * 1000)
+  return { eccentric, bottomPause, concentric, topPause }
+}
+
+/**
+ * Format a measured rep tempo as seconds, e.g. '2.1-0.4-0.9-1.2'
+ */
+export function formatTempo(tempo) {
+  if (!tempo) return ''
+  return ['eccentric', 'bottomPause', 'concentric', 'topPause']
+    .map(phase => tempo[phase] === null || tempo[phase] === undefined ? '-' : (tempo[phase] / 1000).toFixed(1))
+    .join('-')
+}
+
+/**
+ * Compare a rep's measured tempo against the prescription
+ * @param {Object} measured - Rep tempo in ms (from the rep counter)
+ * @param {Object} prescribed - Parsed tempo (from parseTempo)
+ * @returns {string|null} Feedback key for the most important deviation, or null if on tempo
+ */
+export function checkTempo(measured, prescribed) {
+  if (!measured || !prescribed) return null
+
+  // Order matters: a rushed lowering is the most common beginner mistake
+  if (prescribed.eccentric > 0 && measured.eccentric < prescribed.eccentric * RUSHED_RATIO) {
+    return 'tempo-eccentric-rushed'
+  }
+  if (prescribed.bottomPause > 0 && measured.bottomPause !== null &&
+      measured.bottomPause < prescribed.bottomPause * SKIPPED_PAUSE_RATIO) {
+    return 'tempo-bottom-pause-skipped'
+  }
+  if (prescribed.concentric > 0 && measured.concentric < prescribed.concentric * RUSHED_RATIO) {
+    return 'tempo-concentric-rushed'
+  }
+  if (prescribed.topPause > 0 && measured.topPause !== null &&
+      measured.topPause < prescribed.topPause * SKIPPED_PAUSE_RATIO) {
+    return 'tempo-top-pause-skipped'
+  }
+  return null
+}
+
+/**
+ * Check the pause a rep signal asks for at its turnaround point (e.g. squeeze at the top of a bridge)
+ * @param {Object} rep - Completed rep from the rep counter
+ * @param {Object} signal - Rep signal with turnPause: { min, key }
+ * @returns {string|null} The signal's pause feedback key if the pause was too short, otherwise null
+ */
+export function checkTurnPause(rep, signal) {
+  if (!rep || !signal?.turnPause || !rep.reachedBottom) return null
+  // The turnaround is the bottom pause when leaving the start is the eccentric, the top pause otherwise
+  const pause = signal.firstPhase === 'concentric' ? rep.tempo.topPause : rep.tempo.bottomPause
+  return pause !== null && pause < signal.turnPause.min ? signal.turnPause.key : null
+}
+
+/**
+ * Check that the concentric phase was explosive (e.g. the hip snap of a swing)
+ * @param {Object} rep - Completed rep from the rep counter
+ * @param {Object} signal - Rep signal with drive: { max, key }
+ * @returns {string|null} The signal's drive feedback key if the concentric took longer than `max` ms, otherwise null
+ */
+export function checkDrive(rep, signal) {
+  if (!rep || !signal?.drive || !rep.tempo) return null
+  const concentric = rep.tempo.concentric
+  return concentric !== null && concentric > signal.drive.max ? signal.drive.key : null
+}
+
+/**
+ * Check that the eccentric phase was controlled (e.g. sitting down to a chair, not dropping)
+ * @param {Object} rep - Completed rep from the rep counter
+ * @param {Object} signal - Rep signal with control: { min, key }
+ * @returns {string|null} The signal's control feedback key if the eccentric took less than `min` ms, otherwise null
+ */
+export function checkControl(rep, signal) {
+  if (!rep || !signal?.control || !rep.tempo) return null
+  const eccentric = rep.tempo.eccentric
+  return eccentric !== null && eccentric < signal.control.min ? signal.control.key : null
+}
+
+/**
+ * Summarize a set of reps
+ * @param {Array} reps - Completed reps from the rep counter
+ * @returns {Object|null} { reps, goodReps, timeUnderTension, averageTempo, repsBySide, cadence } or null with no reps
+ *   repsBySide is { left, right } when reps were tagged with a working side (lunges, curls), otherwise null.
+ *   cadence is the whole set's reps per minute for cardio moves (reps carrying a cadence), otherwise null.
+ *   A rep paired with the other side's (both arms together) counts once toward reps.
+ */
+export function summarizeSet(reps) {
+  if (!reps || reps.length === 0) return null
+
+  const average = (phase) => {
+    const values = reps.map(rep => rep.tempo?.[phase]).filter(value => value !== null && value !== undefined)
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null
+  }
+
+  // Paired reps overlap their partner in time, so they don't add to the set's reps or time under tension
+  const counted = reps.filter(rep => !rep.paired)
+  const sided = reps.filter(rep => rep.side)
+  const repsBySide = sided.length > 0
+    ? {
+        left: sided.filter(rep => rep.side === 'left').length,
+        right: sided.filter(rep => rep.side === 'right').length
+      }
+    : null
+
+  // First rep start to last rep end
+  const setDuration = counted[counted.length - 1].timestamp - counted[0].startedAt
+  const cadence = counted.some(rep => rep.cadence) && setDuration > 0
+    ? (counted.length / setDuration) * 60000
+    : null
+
+  return {
+    reps: counted.length,
+    goodReps: counted.filter(rep => rep.formQuality === 'good').length,
+    timeUnderTension: counted.reduce((sum, rep) => sum + (rep.timeUnderTension || 0), 0),
+    averageTempo: {
+      eccentric: average('eccentric'),
+      bottomPause: average('bottomPause'),
+      concentric: average('concentric'),
+      topPause: average('topPause')
+    },
+    repsBySide,
+    cadence
+  }
+}
@@ -0,0 +1,130 @@
+import { analyzeExercise } from './exerciseAnalyzers'
+import { hasRequiredKeypoints, getRepSignal } from './exerciseRules'
+import { createBodyScaleCalibrator } from './bodyScale'
+import { createIssueGate } from './issueGate'
+import { createRepTracker, getRepCueKey } from './repTracker'
+import { getFeedbackVariant } from './feedbackVariants'
+import { summarizeSet } from './tempo'
+import { summarizeAsymmetry } from './asymmetry'
+import { decodeTraceKeypoints } from './sessionTrace'
+
+/**
+ * Headless analysis of a session trace
+ *
+ * Runs a trace's keypoints through the same pieces the app uses - body scale
+ * calibration, the exercise's analyzer, the issue gate, rep tracking and
+ * feedback-variant selection - without React or a browser, so analyzer changes
+ * can be checked against recorded movement (scripts/analyze-trace.js).
+ * Cues are paced like CameraFeed's at high signal confidence, without breathing
+ * adaptation or encouragement, so the output only depends on the trace.
+ */
+
+const FEEDBACK_INTERVAL = 2000 // ms between cues, as in CameraFeed
+
+// Numbers rounded so results compare equal across runs and platforms
+function roundNumbers(value, places = 3) {
+  if (typeof value === 'number') {
+    const factor = 10 ** places
+    return Number.isFinite(value) ? Math.round(value * factor) / factor : null
+  }
+  if (Array.isArray(value)) return value.map(item => roundNumbers(item, places))
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, roundNumbers(item, places)]))
+  }
+  return value
+}
+
+function numericMetrics(analysis) {
+  return Object.fromEntries(Object.entries(analysis).filter(([, value]) => typeof value === 'number'))
+}
+
+/**
+ * Analyze every frame of a trace
+ * @param {Object} trace - From parseTrace()
+ * @param {Object} [options]
+ * @param {string} [options.exercise] - Exercise to analyze as (defaults to the one recorded)
+ * @param {string} [options.tempo] - Prescribed tempo (defaults to the one recorded)
+ * @returns {Object} { exercise, frames, summary }
+ *   frames: { t, analyzed, feedbackKey, issues, confirmed, metrics, rep, cue } per trace frame
+ *   summary: { frames, analyzedFrames, reps, goodReps, set, asymmetry, cues }
+ */
+export function analyzeTrace(trace, options = {}) {
+  const exercise = options.exercise || trace.exercise
+  const tempo = options.tempo !== undefined ? options.tempo : trace.tempo || null
+  const signal = getRepSignal(exercise)
+
+  const calibrator = createBodyScaleCalibrator()
+  const issueGate = createIssueGate()
+  const repTracker = createRepTracker(exercise)
+  const reps = []
+  const feedbackHistory = []
+  let lastCueTime = -Infinity
+  let cueCount = 0
+
+  const frames = trace.frames.map(frame => {
+    const keypoints = decodeTraceKeypoints(frame, trace.keypointNames)
+    if (!hasRequiredKeypoints(exercise, keypoints)) {
+      return { t: frame.t, analyzed: false }
+    }
+
+    const analysis = analyzeExercise(exercise, keypoints, { bodyScale: calibrator.addFrame(keypoints) })
+    const confirmedIssues = issueGate.update(analysis.issues, frame.t)
+    const [confirmedIssue] = confirmedIssues
+
+    let rep = null
+    if (repTracker) {
+      const { completed, incomplete } = repTracker.update(analysis, frame.t)
+      reps.push(...completed)
+      rep = completed[completed.length - 1] || incomplete
+    }
+
+    // A rep cue first, then a persisting issue, then the analyzer's positive cue
+    let cue = null
+    if (frame.t - lastCueTime > FEEDBACK_INTERVAL) {
+      const repCueKey = getRepCueKey(rep, signal, tempo)
+      const key = repCueKey || confirmedIssue?.key || (analysis.issues.length === 0 ? analysis.feedbackKey : null)
+      const text = key ? getFeedbackVariant(key, feedbackHistory) : null
+      if (text) {
+        feedbackHistory.unshift(key)
+        feedbackHistory.splice(10)
+        lastCueTime = frame.t
+        cueCount += 1
+        cue = { key, text }
+      }
+    }
+
+    return {
+      t: frame.t,
+      analyzed: true,
+      feedbackKey: analysis.feedbackKey,
+      issues: analysis.issues.map(issue => issue.key),
+      confirmed: confirmedIssues.map(issue => issue.key),
+      metrics: roundNumbers(numericMetrics(analysis)),
+      rep: rep
+        ? {
+            counted: rep.complete !== false,
+            formQuality: rep.formQuality,
+            side: rep.side || null,
+            paired: !!rep.paired,
+            skippedKey: rep.skippedKey || null
+          }
+        : null,
+      cue
+    }
+  })
+
+  const set = summarizeSet(reps)
+  return {
+    exercise,
+    frames,
+    summary: roundNumbers({
+      frames: frames.length,
+      analyzedFrames: frames.filter(frame => frame.analyzed).length,
+      reps: set?.reps || 0,
+      goodReps: set?.goodReps || 0,
+      set,
+      asymmetry: summarizeAsymmetry(reps),
+      cues: cueCount
+    })
+  }
+}
@@ -0,0 +1,118 @@
+import { getDefaultFeedback } from './feedbackVariants'
+import { REP_QUALITY } from './repCounter'
+
+/**
+ * Timeline of an analyzed video clip
+ *
+ * Collects, against the clip's own time, the spans during which each form issue
+ * was reported and a marker for every counted rep, so a filmed set can be
+ * reviewed afterwards and its summary downloaded.
+ */
+
+const ISSUE_GAP = 500 // ms without an issue (or without analysis) that ends its span
+
+/**
+ * "1:05.3" for a time in ms
+ */
+export function formatClipTime(ms) {
+  // Round first, so 59.96 s carries over to 1:00.0 instead of showing 0:60.0
+  const tenths = Math.round(Math.max(0, ms) / 100)
+  const minutes = Math.floor(tenths / 600)
+  const seconds = ((tenths % 600) / 10).toFixed(1)
+  return `${minutes}:${seconds.padStart(4, '0')}`
+}
+
+/**
+ * Create a clip timeline
+ * @param {Object} clip - { exercise, fileName }
+ * @returns {Object} { addFrame, addRep, finish }
+ */
+export function createVideoTimeline({ exercise, fileName }) {
+  const issues = [] // { key, severity, start, end }
+  const openSpans = {} // issue key -> span still being extended
+  const reps = []
+  let duration = 0
+
+  /**
+   * Record the issues found on one analyzed frame
+   * @param {number} time - Clip time in ms
+   * @param {Array} frameIssues - Issues reported on this frame ({ key, severity })
+   */
+  const addFrame = (time, frameIssues) => {
+    duration = Math.max(duration, time)
+    frameIssues.forEach(issue => {
+      const span = openSpans[issue.key]
+      if (span && time - span.end <= ISSUE_GAP) {
+        span.end = time
+      } else {
+        openSpans[issue.key] = { key: issue.key, severity: issue.severity, start: time, end: time }
+        issues.push(openSpans[issue.key])
+      }
+    })
+  }
+
+  /**
+   * Mark a counted rep
+   * @param {number} time - Clip time in ms when the rep finished
+   * @param {Object} rep - Counted rep from the rep, sided or sequence counter
+   */
+  const addRep = (time, rep) => {
+    duration = Math.max(duration, time)
+    if (rep.paired) {
+      // Both arms together are one rep: join the other arm's marker if it's already there
+      const last = reps[reps.length - 1]
+      if (last && last.side && last.side !== rep.side && time - last.time <= (rep.duration || 0)) {
+        last.side = 'both'
+        last.good = last.good && rep.formQuality === REP_QUALITY.GOOD
+        return
+      }
+    }
+    reps.push({
+      time,
+      number: reps.length + 1,
+      good: rep.formQuality === REP_QUALITY.GOOD,
+      partial: rep.reachedBottom === false,
+      side: rep.paired ? 'both' : rep.side || null
+    })
+  }
+
+  /**
+   * @param {number} [clipDuration] - Length of the clip in ms, if known
+   * @returns {Object} { exercise, fileName, duration, reps, issues }
+   */
+  const finish = (clipDuration) => ({
+    exercise,
+    fileName,
+    duration: Math.max(duration, clipDuration || 0),
+    reps: [...reps],
+    issues: issues.map(span => ({ ...span, message: getDefaultFeedback(span.key) }))
+  })
+
+  return { addFrame, addRep, finish }
+}
+
+/**
+ * Plain-text summary of a clip timeline, for download
+ * @returns {string}
+ */
+export function formatTimelineReport(timeline) {
+  const goodReps = timeline.reps.filter(rep => rep.good).length
+  const lines = [
+    'Chin Up video analysis',
+    `Clip: ${timeline.fileName}`,
+    `Exercise: ${timeline.exercise}`,
+    `Length: ${formatClipTime(timeline.duration)}`,
+    '',
+    `Reps: ${timeline.reps.length} (${goodReps} good form)`
+  ]
+  timeline.reps.forEach(rep => {
+    const notes = [rep.good ? 'good form' : 'form issues', rep.partial && 'partial', rep.side && `side: ${rep.side}`]
+    lines.push(`  ${formatClipTime(rep.time)}  Rep ${rep.number}: ${notes.filter(Boolean).join(', ')}`)
+  })
+  lines.push('', `Form issues: ${timeline.issues.length}`)
+  timeline.issues.forEach(issue => {
+    const message = issue.message || issue.key
+    lines.push(`  ${formatClipTime(issue.start)}-${formatClipTime(issue.end)}  ${message} (${issue.key}, ${issue.severity})`)
+  })
+  return `${lines.join('\n')}\n`
+}
@@ -0,0 +1,62 @@
+import { loadDetector, estimateKeypoints, getActiveBackend } from '../lib/poseInference'
+
+/**
+ * Pose inference worker
+ * Runs the detector off the main thread so inference doesn't stall rendering.
+ *
+ * Messages in:
+ *   { type: 'init', modelId }            - load (or switch to) a pose model
+ *   { type: 'frame', bitmap, timestamp } - one camera frame as an ImageBitmap (transferred)
+ * Messages out:
+ *   { type: 'ready', modelId, backend } - backend is the TensorFlow.js backend the worker got
+ *   { type: 'error', modelId, message }  - the model couldn't be loaded here
+ *   { type: 'pose', modelId, keypoints, timestamp, inferenceMs } - one reply per frame;
+ *     keypoints is a packed Float32Array (transferred) or null if nobody is in frame
+ */
+
+let detector = null
+let detectorModel = null
+let requestedModel = null
+
+const init = async (modelId) => {
+  requestedModel = modelId
+  if (detector) {
+    detector.dispose()
+    detector = null
+    detectorModel = null
+  }
+  try {
+    const loaded = await loadDetector(modelId)
+    // Another model was asked for while this one loaded
+    if (requestedModel !== modelId) {
+      loaded.dispose()
+      return
+    }
+    detector = loaded
+    detectorModel = modelId
+    self.postMessage({ type: 'ready', modelId, backend: getActiveBackend() })
+  } catch (error) {
+    self.postMessage({ type: 'error', modelId, message: error.message || String(error) })
+  }
+}
+
+const estimate = async ({ bitmap, timestamp }) => {
+  const modelId = detectorModel
+  const started = performance.now()
+  let keypoints = null
+  try {
+    if (detector) keypoints = await estimateKeypoints(detector, bitmap)
+  } catch (error) {
+    console.error('Error detecting pose:', error.message || error)
+  } finally {
+    bitmap.close()
+  }
+  const reply = { type: 'pose', modelId, keypoints, timestamp, inferenceMs: performance.now() - started }
+  self.postMessage(reply, keypoints ? [keypoints.buffer] : [])
+}
+
+self.onmessage = (event) => {
+  const message = event.data
+  if (message.type === 'init') init(message.modelId)
+  else if (message.type === 'frame') estimate(message)
+}